@@ -12,8 +12,8 @@ import { opus as prismOpus } from 'prism-media';
 import { OpusDecoder } from 'opus-decoder';
 import * as nodeEmoji from 'node-emoji';
 import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-import { createReadStream, createWriteStream, writeFileSync, readFileSync, unlinkSync, existsSync, statSync, mkdirSync } from 'fs';
+import { basename, dirname, join } from 'path';
+import { createReadStream, createWriteStream, writeFileSync, readFileSync, readdirSync, appendFileSync, renameSync, unlinkSync, existsSync, statSync, lstatSync, mkdirSync, copyFileSync, rmSync } from 'fs';
 import { readFile } from 'fs/promises';
 import { Readable } from 'stream';
 
@@ -184,21 +184,47 @@ async function decodeWebmOpusToPcm(buffer, logPrefix = '[PCM decode]') {
   return pcm;
 }
 
-/** Play sound via LiveKit by publishing a track and feeding pre-decoded PCM (smooth, like in-app soundboard). */
-async function playSoundboardSoundLiveKit(connection, sound) {
-  const room = connection.room;
-  if (!room?.isConnected) {
-    throw new Error('LiveKit: not connected');
-  }
-  const logPrefix = `[PCM play ${sound.name}]`;
+/** Decoded PCM of a sound (cached on sound.pcmBuffer after the first play). */
+async function getSoundPcm(sound, logPrefix) {
   let pcm = sound.pcmBuffer;
   if (!pcm && sound.buffer) {
+    const started = performance.now();
     pcm = await decodeWebmOpusToPcm(sound.buffer, logPrefix);
+    incMetric('soundboard_pcm_decode_seconds_total', {}, (performance.now() - started) / 1000);
+    incMetric('soundboard_pcm_decodes_total');
     sound.pcmBuffer = pcm;
   }
   if (!pcm?.length) {
     throw new Error('No PCM buffer (sound may not be WebM/Opus or decode failed)');
   }
+  return pcm;
+}
+
+/** Resolve after ms, or as soon as the signal is aborted. */
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    if (signal?.aborted) return resolve();
+    const timer = setTimeout(done, ms);
+    function done() {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', done);
+      resolve();
+    }
+    signal?.addEventListener('abort', done, { once: true });
+  });
+}
+
+/**
+ * Play sound via LiveKit by publishing a track and feeding pre-decoded PCM (smooth, like in-app soundboard).
+ * Aborting `signal` stops feeding and flushes the frames already queued in the AudioSource.
+ */
+async function playSoundboardSoundLiveKit(connection, sound, signal) {
+  const room = connection.room;
+  if (!room?.isConnected) {
+    throw new Error('LiveKit: not connected');
+  }
+  const logPrefix = `[PCM play ${sound.name}]`;
+  const pcm = await getSoundPcm(sound, logPrefix);
   const source = new AudioSource(LK_SAMPLE_RATE, LK_CHANNELS);
   const track = LocalAudioTrack.createAudioTrack('soundboard', source);
   const options = new TrackPublishOptions();
@@ -206,7 +232,7 @@ async function playSoundboardSoundLiveKit(connection, sound) {
   await room.localParticipant.publishTrack(track, options);
   const totalFrames = Math.ceil(pcm.length / LK_FRAME_SAMPLES);
   log(`${logPrefix} track published, feeding ${totalFrames} frames (${(LK_FRAME_SAMPLES / 48).toFixed(0)}ms each, fewer round-trips)`);
-  await new Promise((r) => setTimeout(r, 50));
+  await sleep(50, signal);
   let offset = 0;
   let framesSent = 0;
   const QUEUE_TARGET_MS = 800;
@@ -215,12 +241,15 @@ async function playSoundboardSoundLiveKit(connection, sound) {
     return Promise.race([
       source.waitForPlayout(),
       new Promise((_, rej) => setTimeout(() => rej(new Error('waitForPlayout timeout')), maxMs)),
+      sleep(maxMs, signal),
     ]).catch(() => {});
   };
   try {
     while (offset < pcm.length) {
+      if (signal?.aborted) break;
       if ((source.queuedDuration ?? 0) > QUEUE_TARGET_MS) {
         await waitForPlayoutWithTimeout();
+        if (signal?.aborted) break;
       }
       const slice = pcm.subarray(offset, Math.min(offset + LK_FRAME_SAMPLES, pcm.length));
       offset += slice.length;
@@ -237,11 +266,18 @@ async function playSoundboardSoundLiveKit(connection, sound) {
       const audioFrame = new AudioFrame(frameSamples, LK_SAMPLE_RATE, LK_CHANNELS, samplesPerChannel);
       await source.captureFrame(audioFrame);
       framesSent++;
+      incMetric('soundboard_livekit_frames_sent_total');
+      setMetric('soundboard_livekit_queued_duration_ms', {}, source.queuedDuration ?? 0);
       if (framesSent <= 2 || framesSent % 200 === 0 || framesSent === totalFrames) {
         log(`${logPrefix} frame ${framesSent}/${totalFrames}, queuedDuration=${(source.queuedDuration ?? 0).toFixed(0)}ms`);
       }
     }
-    log(`${logPrefix} done: ${framesSent} frames sent (playout continues from queue)`);
+    if (signal?.aborted) {
+      if (typeof source.clearQueue === 'function') source.clearQueue();
+      log(`${logPrefix} stopped after ${framesSent}/${totalFrames} frames`);
+    } else {
+      log(`${logPrefix} done: ${framesSent} frames sent (playout continues from queue)`);
+    }
   } finally {
     await track.close().catch(() => {});
     await source.close().catch(() => {});
@@ -252,6 +288,8 @@ import { exec } from 'child_process';
 import { promisify } from 'util';
 import https from 'https';
 import http from 'http';
+import { timingSafeEqual } from 'crypto';
+import { createRequire } from 'module';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -301,20 +339,31 @@ const voiceManager = getVoiceManager(client);
 
 // Path to sounds config file (persistent storage)
 const SOUNDS_CONFIG_PATH = join(__dirname, 'sounds-config.json');
+// Root of the audio files; each guild has its own subdirectory (sounds/<guildId>/)
+const SOUNDS_DIR = join(__dirname, 'sounds');
 // Path to soundboard role config: which roles can add/remove sounds (per guild). Restart-safe.
 const ROLES_CONFIG_PATH = join(__dirname, 'soundboard-roles-config.json');
-const RECONNECT_DELAYS_MS = [10_000, 20_000, 30_000, 60_000, 60_000]; // then keeps 60s
-const KEEPALIVE_INTERVAL_MS = 60_000; // check REST connectivity every 60s
+// Path to per-guild soundboard settings (e.g. which channel the board is posted in). Restart-safe.
+const GUILD_CONFIG_PATH = join(__dirname, 'soundboard-guild-config.json');
+const SCHEDULES_CONFIG_PATH = join(__dirname, 'soundboard-schedules.json');
+// Storage backend for sounds, roles and guild settings: 'json' (the files above) or 'sqlite' (one database file)
+const STORAGE_BACKEND = (process.env.STORAGE_BACKEND || 'json').trim().toLowerCase();
+const SQLITE_PATH = process.env.SQLITE_PATH || join(__dirname, 'soundboard.db');
+// Soundboard archives too large to attach to a reply are written here
+const EXPORTS_DIR = join(__dirname, 'exports');
+// Append-only play log, one JSON object per line
+const PLAY_STATS_PATH = join(__dirname, 'soundboard-plays.jsonl');
+// Optional operational settings (limits, bitrate, embed look, reconnect timing); see BOT_SETTINGS_SCHEMA
+const BOT_SETTINGS_PATH = join(__dirname, 'soundboard-settings.json');
 let reconnecting = false;
 let keepaliveInterval = null;
 let voiceCheckInterval = null;
-const MAX_SOUND_FILE_BYTES = 5 * 1024 * 1024; // 5 MB
-const MAX_SOUND_DURATION_SEC = 25;
-const ALLOWED_AUDIO_EXT = /\.(mp3|wav|ogg|m4a|aac|flac|webm)$/i;
 // Optional: shortcode name -> unicode for emojis not in node-emoji (e.g. Fluxer shortcodes)
 const EMOJI_SHORTCODES_PATH = join(__dirname, 'emoji-shortcodes.json');
-// guildId -> soundboard message ID (only reactions on this message trigger sounds)
+// guildId -> Set of soundboard message IDs, one per page (only reactions on these messages trigger sounds). Persisted in the guild config.
 const soundboardMessageIds = new Map();
+// guildId -> channel ID the soundboard message was posted in
+const soundboardChannelIds = new Map();
 
 /** Guard: Ready can fire multiple times on reconnect; only run initial soundboard setup once per process. */
 let initialSoundboardSetupDone = false;
@@ -329,7 +378,6 @@ const REACTION_DEDUPE_TTL_MS = 3_000;
 
 /** Debounce leave-check per guild so multiple VoiceStateUpdates (e.g. many users left) only run one leave. */
 const leaveCheckTimeouts = new Map();
-const LEAVE_CHECK_DELAY_MS = 500;
 
 let loadedShortcodes = null;
 function getShortcodeToUnicodeMap() {
@@ -349,76 +397,313 @@ function getShortcodeToUnicodeMap() {
 }
 
 // ============================================================
-// SOUNDS CONFIG - Loaded from file or defaults
+// STORAGE - Sounds, roles and guild settings in JSON files (default) or SQLite (STORAGE_BACKEND=sqlite)
+// Both backends read and write whole documents shaped like the JSON files: 'sounds' ({ version, guilds, legacy? }),
+// 'roles' ({ <guildId>: roleIds }) and 'guilds' ({ <guildId>: settings }). JSON files are replaced atomically
+// (temp file + rename); SQLite writes each document in one transaction. A new database imports the JSON files once.
 // ============================================================
-let SOUNDS = {};
+const STORE_FILES = { sounds: SOUNDS_CONFIG_PATH, roles: ROLES_CONFIG_PATH, guilds: GUILD_CONFIG_PATH };
+// Schema changes, applied in order on startup. PRAGMA user_version counts the applied ones; only ever append.
+const SQLITE_MIGRATIONS = [
+  `CREATE TABLE sounds (
+     guild_id TEXT NOT NULL,
+     emoji TEXT NOT NULL,
+     position INTEGER NOT NULL,
+     name TEXT NOT NULL,
+     file TEXT NOT NULL,
+     animated INTEGER NOT NULL DEFAULT 0,
+     shared_from TEXT,
+     category TEXT,
+     PRIMARY KEY (guild_id, emoji)
+   );
+   CREATE TABLE guild_roles (
+     guild_id TEXT NOT NULL,
+     role_id TEXT NOT NULL,
+     position INTEGER NOT NULL,
+     PRIMARY KEY (guild_id, role_id)
+   );
+   CREATE TABLE guild_settings (
+     guild_id TEXT NOT NULL,
+     key TEXT NOT NULL,
+     value TEXT NOT NULL,
+     PRIMARY KEY (guild_id, key)
+   );
+   CREATE TABLE meta (key TEXT PRIMARY KEY, value TEXT NOT NULL);`,
+];
+// guild_id of the sounds that sounds-config.json keeps under `legacy` (guild IDs are numeric, so this can't clash)
+const SQLITE_LEGACY_GUILD_ID = 'legacy';
+/** better-sqlite3 database while the SQLite backend is in use */
+let db = null;
+
+/** Replace a file so that a crash leaves either the old or the new content, never a truncated file. */
+function writeFileAtomic(path, data) {
+  const tempPath = `${path}.${process.pid}.tmp`;
+  writeFileSync(tempPath, data);
+  renameSync(tempPath, path);
+}
 
-// Load sounds from config file or use defaults
-function loadSoundsConfig() {
-  if (existsSync(SOUNDS_CONFIG_PATH)) {
-    try {
-      const data = readFileSync(SOUNDS_CONFIG_PATH, 'utf8');
-      const raw = JSON.parse(data);
+/** Per-document mapping between the JSON shape and the SQLite tables. write() runs inside a transaction. */
+const SQLITE_STORES = {
+  sounds: {
+    read() {
+      const guilds = {};
+      let legacy = null;
+      for (const row of db.prepare('SELECT * FROM sounds ORDER BY guild_id, position').all()) {
+        const sound = { name: row.name, file: row.file };
+        if (row.animated) sound.animated = true;
+        if (row.shared_from) sound.sharedFrom = row.shared_from;
+        if (row.category) sound.category = row.category;
+        if (row.guild_id === SQLITE_LEGACY_GUILD_ID) (legacy ??= {})[row.emoji] = sound;
+        else (guilds[row.guild_id] ??= {})[row.emoji] = sound;
+      }
+      return legacy ? { version: SOUNDS_CONFIG_VERSION, guilds, legacy } : { version: SOUNDS_CONFIG_VERSION, guilds };
+    },
+    write({ guilds = {}, legacy }) {
+      const insert = db.prepare(
+        'INSERT INTO sounds (guild_id, emoji, position, name, file, animated, shared_from, category) VALUES (?, ?, ?, ?, ?, ?, ?, ?)'
+      );
+      db.prepare('DELETE FROM sounds').run();
+      const libraries = legacy ? { ...guilds, [SQLITE_LEGACY_GUILD_ID]: legacy } : guilds;
+      for (const [guildId, sounds] of Object.entries(libraries)) {
+        // position keeps the board order, which is the order of the emoji keys
+        Object.entries(sounds).forEach(([emoji, sound], position) => {
+          insert.run(guildId, emoji, position, String(sound.name ?? ''), String(sound.file ?? ''), sound.animated ? 1 : 0, sound.sharedFrom ?? null, sound.category ?? null);
+        });
+      }
+    },
+  },
+  roles: {
+    read() {
+      const roles = {};
+      for (const row of db.prepare('SELECT guild_id, role_id FROM guild_roles ORDER BY guild_id, position').all()) {
+        (roles[row.guild_id] ??= []).push(row.role_id);
+      }
+      return roles;
+    },
+    write(roles) {
+      const insert = db.prepare('INSERT INTO guild_roles (guild_id, role_id, position) VALUES (?, ?, ?)');
+      db.prepare('DELETE FROM guild_roles').run();
+      for (const [guildId, roleIds] of Object.entries(roles)) {
+        if (!Array.isArray(roleIds)) continue;
+        [...new Set(roleIds.map(String))].forEach((roleId, position) => insert.run(guildId, roleId, position));
+      }
+    },
+  },
+  guilds: {
+    read() {
+      const guilds = {};
+      for (const row of db.prepare('SELECT guild_id, key, value FROM guild_settings ORDER BY guild_id, key').all()) {
+        (guilds[row.guild_id] ??= {})[row.key] = JSON.parse(row.value);
+      }
+      return guilds;
+    },
+    write(guilds) {
+      const insert = db.prepare('INSERT INTO guild_settings (guild_id, key, value) VALUES (?, ?, ?)');
+      db.prepare('DELETE FROM guild_settings').run();
+      for (const [guildId, settings] of Object.entries(guilds)) {
+        for (const [key, value] of Object.entries(settings ?? {})) {
+          if (value !== undefined) insert.run(guildId, key, JSON.stringify(value));
+        }
+      }
+    },
+  },
+};
 
-      let migrated = false;
-      const normalized = {};
+/** Stored document `name`, or null if there is none yet (fresh install). Throws if it can't be read. */
+function readStore(name) {
+  if (db) return SQLITE_STORES[name].read();
+  const path = STORE_FILES[name];
+  return existsSync(path) ? JSON.parse(readFileSync(path, 'utf8')) : null;
+}
 
-      for (const [key, sound] of Object.entries(raw ?? {})) {
-        const k = String(key ?? '').trim();
-        if (!k) continue;
+function writeStore(name, document) {
+  if (db) db.transaction(() => SQLITE_STORES[name].write(document))();
+  else writeFileAtomic(STORE_FILES[name], JSON.stringify(document, null, 2));
+}
 
-        let nk = k;
+/**
+ * readStore() for startup. A store that can't be read stops the bot: starting with empty data would let the
+ * next save overwrite the sounds, roles or settings that are still in the file or database.
+ */
+function loadStore(name) {
+  try {
+    return readStore(name);
+  } catch (error) {
+    logError(`Could not read the ${name} store (${db ? SQLITE_PATH : STORE_FILES[name]}):`, error.message);
+    logError('Fix or restore it and start the bot again.');
+    process.exit(1);
+  }
+}
 
-        // If config ever stored a percent-encoded emoji, normalize back to raw
-        try {
-          if (/%[0-9A-Fa-f]{2}/.test(nk)) nk = decodeURIComponent(nk);
-        } catch {
-          // ignore
-        }
+/** Open the configured backend: nothing to do for JSON; for SQLite open the database, migrate it and import the JSON files once. */
+function openStorage() {
+  if (STORAGE_BACKEND === 'json') return;
+  if (STORAGE_BACKEND !== 'sqlite') {
+    logError(`Unknown STORAGE_BACKEND "${STORAGE_BACKEND}" (use json or sqlite)`);
+    process.exit(1);
+  }
+  try {
+    // Loaded only when selected, so JSON installs don't need the native module
+    const Database = createRequire(import.meta.url)('better-sqlite3');
+    db = new Database(SQLITE_PATH);
+    db.pragma('journal_mode = WAL');
+    migrateDatabase();
+    if (!db.prepare("SELECT 1 FROM meta WHERE key = 'jsonImportedAt'").get()) importJsonStores();
+  } catch (error) {
+    logError(`Could not open the SQLite database ${SQLITE_PATH}:`, error.message);
+    if (error.code === 'MODULE_NOT_FOUND') logError('Run `npm install` to install better-sqlite3.');
+    process.exit(1);
+  }
+  log(`Storage: SQLite (${SQLITE_PATH})`);
+}
 
-        // Convert :shortcode: -> unicode when known (prevents reaction API errors)
-        const shortcodeMatch = nk.match(/^:(\w+):$/);
-        if (shortcodeMatch) {
-          const codeName = shortcodeMatch[1];
-          if (nodeEmoji.has(nk)) {
-            nk = nodeEmoji.get(nk);
-          } else {
-            const extra = getShortcodeToUnicodeMap();
-            if (extra[codeName]) nk = extra[codeName];
-          }
-        }
+function migrateDatabase() {
+  const applied = db.pragma('user_version', { simple: true });
+  if (applied > SQLITE_MIGRATIONS.length) {
+    throw new Error(`schema version ${applied} is newer than this bot (${SQLITE_MIGRATIONS.length}); update the bot`);
+  }
+  for (let version = applied + 1; version <= SQLITE_MIGRATIONS.length; version++) {
+    db.transaction(() => {
+      db.exec(SQLITE_MIGRATIONS[version - 1]);
+      db.pragma(`user_version = ${version}`);
+    })();
+    log(`Database migrated to schema version ${version}`);
+  }
+}
 
-        // Normalize custom emoji markup to name:id for matching
-        const mMarkup = nk.match(/^<a?:(\w+):(\d+)>$/);
-        if (mMarkup) nk = `${mMarkup[1]}:${mMarkup[2]}`;
+/**
+ * One-time import of the JSON files into a new database, in one transaction. The files are renamed to
+ * <file>.imported afterwards so it is obvious they are no longer read (and a rollback to JSON is a rename away).
+ */
+function importJsonStores() {
+  const documents = {};
+  for (const [name, path] of Object.entries(STORE_FILES)) {
+    if (!existsSync(path)) continue;
+    try {
+      documents[name] = JSON.parse(readFileSync(path, 'utf8'));
+    } catch (error) {
+      throw new Error(`${path} can't be imported: ${error.message}`);
+    }
+  }
+  // A pre-2 sounds config is one flat emoji map; import it as legacy sounds so loadSoundsConfig() migrates it as before
+  const sounds = documents.sounds;
+  if (sounds && !(sounds.version >= SOUNDS_CONFIG_VERSION && sounds.guilds)) {
+    documents.sounds = { version: SOUNDS_CONFIG_VERSION, guilds: {}, legacy: sounds };
+  }
+  db.transaction(() => {
+    for (const [name, document] of Object.entries(documents)) SQLITE_STORES[name].write(document);
+    db.prepare("INSERT INTO meta (key, value) VALUES ('jsonImportedAt', ?)").run(new Date().toISOString());
+  })();
+  for (const name of Object.keys(documents)) {
+    renameSync(STORE_FILES[name], `${STORE_FILES[name]}.imported`);
+    log(`Imported ${STORE_FILES[name]} into ${SQLITE_PATH}`);
+  }
+}
 
-        // Keys that are just bare words (e.g. "zipper_mouth") are not valid
-        // reaction identifiers; skip them so they don't break reactions.
-        if (/^\w+$/.test(nk)) {
-          logWarn(`Skipping invalid emoji key in config: ${nk}`);
-          migrated = true;
-          continue;
-        }
+// ============================================================
+// SOUNDS CONFIG - Per-guild sound libraries, loaded from storage (see STORAGE)
+// sounds-config.json: { version: 2, guilds: { <guildId>: { <emoji>: { name, file, animated?, sharedFrom?, category? } } } }
+// Audio files live in sounds/<guildId>/<file>.
+// ============================================================
+const SOUNDS_CONFIG_VERSION = 2;
+/** guildId -> { emojiKey -> sound } */
+let SOUNDS = {};
+/** Sounds from the old single global config (files in sounds/), waiting to be copied into each guild's library on Ready. */
+let LEGACY_SOUNDS = null;
 
-        if (nk !== k) migrated = true;
+/** Normalize a raw { emojiKey -> sound } map from the config file. Returns the cleaned map and whether anything changed. */
+function normalizeSoundMap(raw) {
+  let migrated = false;
+  const normalized = {};
 
-        // If duplicates happen, keep the first one to avoid accidental overwrites
-        if (!normalized[nk]) {
-          normalized[nk] = { ...sound };
-          if (sound.animated === true) normalized[nk].animated = true;
-        }
+  for (const [key, sound] of Object.entries(raw ?? {})) {
+    const k = String(key ?? '').trim();
+    if (!k) continue;
+
+    let nk = k;
+
+    // If config ever stored a percent-encoded emoji, normalize back to raw
+    try {
+      if (/%[0-9A-Fa-f]{2}/.test(nk)) nk = decodeURIComponent(nk);
+    } catch {
+      // ignore
+    }
+
+    // Convert :shortcode: -> unicode when known (prevents reaction API errors)
+    const shortcodeMatch = nk.match(/^:(\w+):$/);
+    if (shortcodeMatch) {
+      const codeName = shortcodeMatch[1];
+      if (nodeEmoji.has(nk)) {
+        nk = nodeEmoji.get(nk);
+      } else {
+        const extra = getShortcodeToUnicodeMap();
+        if (extra[codeName]) nk = extra[codeName];
       }
+    }
+
+    // Normalize custom emoji markup to name:id for matching
+    const mMarkup = nk.match(/^<a?:(\w+):(\d+)>$/);
+    if (mMarkup) nk = `${mMarkup[1]}:${mMarkup[2]}`;
+
+    // Keys that are just bare words (e.g. "zipper_mouth") are not valid
+    // reaction identifiers; skip them so they don't break reactions.
+    if (/^\w+$/.test(nk)) {
+      logWarn(`Skipping invalid emoji key in config: ${nk}`);
+      migrated = true;
+      continue;
+    }
+
+    if (nk !== k) migrated = true;
 
-      SOUNDS = normalized;
-      log(`Loaded ${Object.keys(SOUNDS).length} sounds from config`);
+    // If duplicates happen, keep the first one to avoid accidental overwrites
+    if (!normalized[nk]) {
+      normalized[nk] = { ...sound };
+      if (sound.animated === true) normalized[nk].animated = true;
+    }
+  }
+
+  return { sounds: normalized, migrated };
+}
 
-      if (migrated) {
-        log('Sounds config migrated (normalized emoji keys)');
-        saveSoundsConfig();
+/** Directory holding one guild's audio files. */
+function getGuildSoundsDir(guildId) {
+  return join(SOUNDS_DIR, String(guildId));
+}
+
+// Load sounds from config file. A pre-2 config (one flat emoji map shared by every guild) is kept as LEGACY_SOUNDS
+// and copied into each guild's library by migrateLegacySounds() once the bot knows which guilds it is in.
+function loadSoundsConfig() {
+  SOUNDS = {};
+  LEGACY_SOUNDS = null;
+
+  const raw = loadStore('sounds');
+  if (raw) {
+    let migrated = false;
+
+    if (raw?.version >= SOUNDS_CONFIG_VERSION && raw.guilds && typeof raw.guilds === 'object') {
+      for (const [guildId, guildRaw] of Object.entries(raw.guilds)) {
+        const result = normalizeSoundMap(guildRaw);
+        SOUNDS[guildId] = result.sounds;
+        if (result.migrated) migrated = true;
       }
-    } catch (error) {
-      logError('Error loading sounds config:', error.message);
-      SOUNDS = getDefaultSounds();
+      if (raw.legacy && Object.keys(raw.legacy).length > 0) {
+        const result = normalizeSoundMap(raw.legacy);
+        LEGACY_SOUNDS = result.sounds;
+        if (result.migrated) migrated = true;
+      }
+    } else {
+      const result = normalizeSoundMap(raw);
+      LEGACY_SOUNDS = result.sounds;
+      migrated = true;
+      log(`Found ${Object.keys(LEGACY_SOUNDS).length} sound(s) in the old global config; they will be copied into every guild on startup`);
+    }
+
+    const soundCount = Object.values(SOUNDS).reduce((acc, sounds) => acc + Object.keys(sounds).length, 0);
+    log(`Loaded ${soundCount} sounds for ${Object.keys(SOUNDS).length} guild(s) from config`);
+
+    if (migrated) {
+      log('Sounds config migrated (normalized emoji keys / per-guild format)');
+      saveSoundsConfig();
     }
   } else {
     SOUNDS = getDefaultSounds();
@@ -426,22 +711,105 @@ function loadSoundsConfig() {
   }
 
   // Resolve full paths
-  for (const [emoji, sound] of Object.entries(SOUNDS)) {
-    sound.path = join(__dirname, 'sounds', sound.file);
+  for (const [guildId, sounds] of Object.entries(SOUNDS)) {
+    for (const sound of Object.values(sounds)) {
+      sound.path = join(getGuildSoundsDir(guildId), sound.file);
+    }
+  }
+  for (const sound of Object.values(LEGACY_SOUNDS ?? {})) {
+    sound.path = join(SOUNDS_DIR, sound.file);
   }
 
   // Ensure sounds directory exists (fresh install has no sounds/ yet)
-  const soundsDir = join(__dirname, 'sounds');
-  if (!existsSync(soundsDir)) {
-    mkdirSync(soundsDir, { recursive: true });
+  if (!existsSync(SOUNDS_DIR)) {
+    mkdirSync(SOUNDS_DIR, { recursive: true });
   }
 }
 
+/** Sound library of one guild (created empty on first use). */
+function getGuildSounds(guildId) {
+  if (!guildId) return {};
+  if (!SOUNDS[guildId]) SOUNDS[guildId] = {};
+  return SOUNDS[guildId];
+}
+
+/** Iterate every sound of every guild as [guildId, emojiKey, sound]. */
+function* allSounds() {
+  for (const [guildId, sounds] of Object.entries(SOUNDS)) {
+    for (const [emoji, sound] of Object.entries(sounds)) {
+      yield [guildId, emoji, sound];
+    }
+  }
+}
+
+/** Pick a free file name in the guild's sounds directory (name.webm, name-2.webm, ...). */
+function uniqueSoundFilename(guildId, baseName) {
+  const dir = getGuildSoundsDir(guildId);
+  const taken = new Set(Object.values(getGuildSounds(guildId)).map((s) => s.file));
+  let candidate = `${baseName}.webm`;
+  for (let i = 2; taken.has(candidate) || existsSync(join(dir, candidate)); i++) {
+    candidate = `${baseName}-${i}.webm`;
+  }
+  return candidate;
+}
+
+/** Copy a sound into another guild's library under emojiKey (own file, so removing it in one guild leaves the other intact). */
+function copySoundToGuild(sound, targetGuildId, emojiKey, extra = {}) {
+  const targetDir = getGuildSoundsDir(targetGuildId);
+  if (!existsSync(targetDir)) mkdirSync(targetDir, { recursive: true });
+  const file = uniqueSoundFilename(targetGuildId, sound.file.replace(/\.webm$/i, ''));
+  const path = join(targetDir, file);
+  copyFileSync(sound.path, path);
+  const copy = { name: sound.name, file, path, ...extra };
+  if (sound.animated) copy.animated = true;
+  if (sound.buffer) copy.buffer = sound.buffer;
+  getGuildSounds(targetGuildId)[emojiKey] = copy;
+  return copy;
+}
+
+/**
+ * One-time migration from the old global config: every guild the bot is in gets its own copy of the legacy sounds
+ * (previously every guild saw all of them), then the old files in sounds/ are removed. Kept for a later run if no guilds are known yet.
+ */
+function migrateLegacySounds(guildIds) {
+  if (!LEGACY_SOUNDS) return;
+  if (!guildIds.length) {
+    logWarn('No guilds known yet; keeping legacy sounds for the next startup');
+    return;
+  }
+  for (const guildId of guildIds) {
+    const sounds = getGuildSounds(guildId);
+    let copied = 0;
+    for (const [emoji, sound] of Object.entries(LEGACY_SOUNDS)) {
+      if (sounds[emoji] || !sound.path || !existsSync(sound.path)) continue;
+      try {
+        copySoundToGuild(sound, guildId, emoji);
+        copied++;
+      } catch (e) {
+        logError(`Could not copy legacy sound "${sound.name}" to guild ${guildId}:`, e?.message);
+        return;
+      }
+    }
+    log(`Migrated ${copied} legacy sound(s) into guild ${guildId}`);
+  }
+  for (const sound of Object.values(LEGACY_SOUNDS)) {
+    if (sound.path && existsSync(sound.path)) {
+      try {
+        unlinkSync(sound.path);
+      } catch (err) {
+        logWarn('Could not delete legacy sound file:', sound.path, err?.message);
+      }
+    }
+  }
+  LEGACY_SOUNDS = null;
+  saveSoundsConfig();
+}
+
 /** Load all sound files into memory (sound.buffer) for stutter-free playback. */
 async function preloadSoundBuffers() {
   let count = 0;
   let bytes = 0;
-  for (const [emoji, sound] of Object.entries(SOUNDS)) {
+  for (const [, , sound] of allSounds()) {
     if (!sound.path || !existsSync(sound.path)) continue;
     try {
       sound.buffer = await readFile(sound.path);
@@ -458,15 +826,27 @@ function getDefaultSounds() {
   return {};
 }
 
+function toSavedSoundMap(sounds) {
+  // Save without the 'path' property (we regenerate that on load)
+  const configToSave = {};
+  for (const [emoji, sound] of Object.entries(sounds)) {
+    configToSave[emoji] = { name: sound.name, file: sound.file };
+    if (sound.animated) configToSave[emoji].animated = true;
+    if (sound.sharedFrom) configToSave[emoji].sharedFrom = sound.sharedFrom;
+    if (sound.category) configToSave[emoji].category = sound.category;
+  }
+  return configToSave;
+}
+
 function saveSoundsConfig() {
   try {
-    // Save without the 'path' property (we regenerate that on load)
-    const configToSave = {};
-    for (const [emoji, sound] of Object.entries(SOUNDS)) {
-      configToSave[emoji] = { name: sound.name, file: sound.file };
-      if (sound.animated) configToSave[emoji].animated = true;
+    const configToSave = { version: SOUNDS_CONFIG_VERSION, guilds: {} };
+    for (const [guildId, sounds] of Object.entries(SOUNDS)) {
+      if (Object.keys(sounds).length === 0) continue;
+      configToSave.guilds[guildId] = toSavedSoundMap(sounds);
     }
-    writeFileSync(SOUNDS_CONFIG_PATH, JSON.stringify(configToSave, null, 2));
+    if (LEGACY_SOUNDS) configToSave.legacy = toSavedSoundMap(LEGACY_SOUNDS);
+    writeStore('sounds', configToSave);
     log('Sounds config saved');
   } catch (error) {
     logError('Error saving sounds config:', error.message);
@@ -481,24 +861,14 @@ function saveSoundsConfig() {
 let ROLES_CONFIG = {};
 
 function loadRolesConfig() {
-  if (existsSync(ROLES_CONFIG_PATH)) {
-    try {
-      const data = readFileSync(ROLES_CONFIG_PATH, 'utf8');
-      const raw = JSON.parse(data);
-      ROLES_CONFIG = typeof raw === 'object' && raw !== null ? raw : {};
-      log(`Loaded roles config for ${Object.keys(ROLES_CONFIG).length} guild(s)`);
-    } catch (error) {
-      logError('Error loading roles config:', error.message);
-      ROLES_CONFIG = {};
-    }
-  } else {
-    ROLES_CONFIG = {};
-  }
+  const raw = loadStore('roles');
+  ROLES_CONFIG = typeof raw === 'object' && raw !== null ? raw : {};
+  if (raw) log(`Loaded roles config for ${Object.keys(ROLES_CONFIG).length} guild(s)`);
 }
 
 function saveRolesConfig() {
   try {
-    writeFileSync(ROLES_CONFIG_PATH, JSON.stringify(ROLES_CONFIG, null, 2));
+    writeStore('roles', ROLES_CONFIG);
     log('Roles config saved');
   } catch (error) {
     logError('Error saving roles config:', error.message);
@@ -531,772 +901,4672 @@ function removeAllowedRole(guildId, roleId) {
   return true;
 }
 
-// Initialize
-loadSoundsConfig();
-loadRolesConfig();
-
-const isPlaying = new Map();
-const soundDurations = new Map();
-
 // ============================================================
-// HELPERS
+// BOT SETTINGS - Operational settings, validated against BOT_SETTINGS_SCHEMA
+// Precedence: per-guild override (`!soundboard config set`) > env var SOUNDBOARD_<KEY> > soundboard-settings.json > default.
+// Keys marked `guild` can be overridden per guild; `guild: 'max'` overrides may only lower the global value.
 // ============================================================
+const BOT_SETTINGS_SCHEMA = {
+  maxSoundFileMb: { type: 'number', default: 5, min: 0.1, max: 100, guild: 'max', description: 'Largest accepted audio upload in MB' },
+  maxSoundDurationSec: { type: 'number', default: 25, min: 1, max: 600, guild: 'max', description: 'Longest allowed sound in seconds' },
+  allowedAudioExtensions: { type: 'list', default: ['mp3', 'wav', 'ogg', 'm4a', 'aac', 'flac', 'webm'], pattern: /^[a-z0-9]{1,10}$/, guild: true, description: 'Accepted upload file extensions' },
+  opusBitrateKbps: { type: 'integer', default: 96, min: 6, max: 510, guild: true, description: 'Opus bitrate of converted sounds in kbit/s' },
+  embedTitle: { type: 'string', default: '🎵 Soundboard', maxLength: 200, guild: true, description: 'Title of a board without categories' },
+  embedColor: { type: 'color', default: '#00FF41', guild: true, description: 'Embed colour of the board (hex)' },
+  channelNames: { type: 'list', default: ['soundboard', 'sounds', 'bot', 'bot-commands'], pattern: /^[\w-]{1,100}$/, guild: true, description: 'Channel names tried in order when no board channel is configured' },
+  commandPrefix: { type: 'prefix', default: '!soundboard', guild: true, description: 'Command prefix (a mention of the bot always works too)' },
+  commandAlias: { type: 'prefix', default: '', optional: true, guild: true, description: 'Short second prefix such as !sb (none = off)' },
+  language: { type: 'language', default: 'en', guild: true, description: 'Language of replies and of the board (a file in locales/)' },
+  leaveCheckDelayMs: { type: 'integer', default: 500, min: 0, max: 60_000, guild: true, description: 'Delay before leaving an empty voice channel in ms' },
+  playStatsRetentionDays: { type: 'integer', default: 365, min: 0, max: 36_500, description: 'Days of play history kept for stats (0 = forever)' },
+  keepaliveIntervalMs: { type: 'integer', default: 60_000, min: 5_000, max: 3_600_000, description: 'REST connectivity check interval in ms' },
+  reconnectDelaysMs: { type: 'integerList', default: [10_000, 20_000, 30_000, 60_000, 60_000], min: 1_000, max: 600_000, description: 'Backoff between reconnect attempts in ms (then every 60s)' },
+};
+/** key -> validated global value (file and env applied) */
+const BOT_SETTINGS = {};
 
-/** Resolve the author of the message as a guild member (null in DMs or if not in guild). */
-async function getMessageMember(message) {
-  if (!message.guildId) return null;
-  const guild = client.guilds.get(message.guildId);
-  if (!guild) return null;
-  const members = guild.members?.cache ?? guild.members;
-  return members?.get?.(message.author.id) ?? members?.resolve?.(message.author.id) ?? null;
+/** maxSoundFileMb -> SOUNDBOARD_MAX_SOUND_FILE_MB */
+function settingEnvName(key) {
+  return `SOUNDBOARD_${key.replace(/[A-Z]/g, (c) => `_${c}`).toUpperCase()}`;
 }
 
-/** True if the member can change soundboard role config (Manage Guild permission). */
-function canConfigureRoles(member) {
-  return member && member.permissions && member.permissions.has(PermissionFlags.ManageGuild);
+/** Human-readable value for replies and errors. */
+function formatSettingValue(value) {
+  if (value === '') return 'none';
+  return Array.isArray(value) ? value.join(', ') : String(value);
 }
 
-/** True if the member can add/remove sounds: has Manage Guild or has one of the allowed roles. */
-function canManageSoundboard(member, guildId) {
-  if (!member) return false;
-  if (member.permissions && member.permissions.has(PermissionFlags.ManageGuild)) return true;
-  const allowed = getAllowedRoleIds(guildId);
-  if (allowed.length === 0) return false;
-  const cache = member.roles?.cache;
-  if (!cache) return false;
-  return allowed.some((roleId) => cache.has(roleId));
+/**
+ * Validate a setting value against its schema entry. Strings (env vars, chat commands) are parsed; lists may be
+ * comma- or space-separated. Returns { value } or { error }.
+ */
+function coerceSettingValue(key, input) {
+  const schema = BOT_SETTINGS_SCHEMA[key];
+  if (!schema) return { error: `unknown setting "${key}"` };
+  const inRange = (n) => n >= schema.min && n <= schema.max;
+  const range = `${schema.min}-${schema.max}`;
+  const toList = (v) => (Array.isArray(v) ? v.map(String) : String(v).split(/[\s,]+/)).map((s) => s.trim()).filter(Boolean);
+  switch (schema.type) {
+    case 'number':
+    case 'integer': {
+      const n = typeof input === 'string' && input.trim() !== '' ? Number(input) : input;
+      if (typeof n !== 'number' || !Number.isFinite(n) || (schema.type === 'integer' && !Number.isInteger(n)) || !inRange(n)) {
+        return { error: `${key} must be ${schema.type === 'integer' ? 'an integer' : 'a number'} in ${range}` };
+      }
+      return { value: n };
+    }
+    case 'integerList': {
+      const items = toList(input).map(Number);
+      if (items.length === 0 || items.some((n) => !Number.isInteger(n) || !inRange(n))) {
+        return { error: `${key} must be a list of integers in ${range}` };
+      }
+      return { value: items };
+    }
+    case 'list': {
+      const items = toList(input).map((s) => s.replace(/^[.#]/, '').toLowerCase());
+      if (items.length === 0 || items.some((s) => !schema.pattern.test(s))) {
+        return { error: `${key} must be a non-empty list of names like ${schema.default.slice(0, 2).join(', ')}` };
+      }
+      return { value: [...new Set(items)] };
+    }
+    case 'prefix': {
+      const text = typeof input === 'string' ? input.trim() : '';
+      if (schema.optional && ['', 'none', 'off'].includes(text.toLowerCase())) return { value: '' };
+      // No spaces (commands are split on them), and nothing a mention or code span starts with
+      if (!/^[^\s<@`#]{1,20}$/.test(text)) return { error: `${key} must be 1-20 characters without spaces, <, @, # or \`` };
+      return { value: text };
+    }
+    case 'language': {
+      const code = typeof input === 'string' ? input.trim().toLowerCase() : '';
+      if (!locales.has(code)) return { error: `${key} must be one of ${[...locales.keys()].join(', ')}` };
+      return { value: code };
+    }
+    case 'color': {
+      const match = typeof input === 'string' && input.trim().match(/^(?:#|0x)?([0-9a-f]{6})$/i);
+      if (!match) return { error: `${key} must be a hex colour like #00FF41` };
+      return { value: `#${match[1].toUpperCase()}` };
+    }
+    default: {
+      if (typeof input !== 'string' || !input.trim() || input.length > schema.maxLength) {
+        return { error: `${key} must be text of 1-${schema.maxLength} characters` };
+      }
+      return { value: input.trim() };
+    }
+  }
 }
 
-function displayEmojiForEmbed(key, animated = false) {
-  const s = String(key ?? '');
-  if (s.startsWith('<:') || s.startsWith('<a:')) return s;
-  const m = s.match(/^(\w+):(\d+)$/);
-  if (m) return animated ? `<a:${m[1]}:${m[2]}>` : `<:${m[1]}:${m[2]}>`;
-  return s;
+/**
+ * Build BOT_SETTINGS from defaults, soundboard-settings.json and env vars. Unknown keys and invalid values are fatal:
+ * each problem is logged and the process exits, so a typo never silently falls back to a default.
+ */
+function loadBotSettings() {
+  const errors = [];
+  let file = {};
+  if (existsSync(BOT_SETTINGS_PATH)) {
+    try {
+      file = JSON.parse(readFileSync(BOT_SETTINGS_PATH, 'utf8'));
+      if (typeof file !== 'object' || file === null || Array.isArray(file)) throw new Error('expected a JSON object');
+    } catch (error) {
+      errors.push(`${BOT_SETTINGS_PATH}: ${error.message}`);
+      file = {};
+    }
+  }
+  for (const key of Object.keys(file)) {
+    if (!BOT_SETTINGS_SCHEMA[key]) errors.push(`${BOT_SETTINGS_PATH}: unknown setting "${key}" (known: ${Object.keys(BOT_SETTINGS_SCHEMA).join(', ')})`);
+  }
+  for (const [key, schema] of Object.entries(BOT_SETTINGS_SCHEMA)) {
+    const envName = settingEnvName(key);
+    const [source, input] = process.env[envName] != null && process.env[envName] !== ''
+      ? [`env ${envName}`, process.env[envName]]
+      : key in file ? [BOT_SETTINGS_PATH, file[key]] : [null, schema.default];
+    if (!source) {
+      BOT_SETTINGS[key] = schema.default;
+      continue;
+    }
+    const result = coerceSettingValue(key, input);
+    if (result.error) errors.push(`${source}: ${result.error} (got ${JSON.stringify(input)})`);
+    else BOT_SETTINGS[key] = result.value;
+  }
+  if (errors.length > 0) {
+    for (const error of errors) logError(`Invalid setting - ${error}`);
+    process.exit(1);
+  }
 }
 
-/** Fluxer 1.18+ resolveEmoji returns encodeURIComponent(unicode) for shortcodes. Store raw unicode or name:id for keys. */
-function normalizeEmojiKeyForStorage(resolved) {
-  if (/^\w+:\d+$/.test(resolved)) return resolved;
-  try {
-    if (/%[0-9A-Fa-f]{2}/.test(resolved)) return decodeURIComponent(resolved);
-  } catch {
-    // ignore
+/** Effective value of a setting: the guild's override if the key allows one, else the global value. */
+function getSetting(key, guildId = null) {
+  const { guild } = BOT_SETTINGS_SCHEMA[key];
+  const override = guild ? getGuildSettings(guildId).settingOverrides?.[key] : undefined;
+  if (override == null) return BOT_SETTINGS[key];
+  // A bot-wide limit lowered after a guild set its override still applies
+  return guild === 'max' ? Math.min(override, BOT_SETTINGS[key]) : override;
+}
+
+/** Validate and store a guild override (value null removes it). Returns { value } or { error }. */
+function setGuildSettingOverride(guildId, key, input) {
+  const schema = BOT_SETTINGS_SCHEMA[key];
+  if (!schema) return { error: `Unknown setting \`${key}\`.` };
+  if (!schema.guild) return { error: `\`${key}\` is a bot-wide setting; set it in soundboard-settings.json or ${settingEnvName(key)}.` };
+  const overrides = { ...getGuildSettings(guildId).settingOverrides };
+  if (input === null) {
+    delete overrides[key];
+  } else {
+    const result = coerceSettingValue(key, input);
+    if (result.error) return { error: `${result.error[0].toUpperCase()}${result.error.slice(1)}.` };
+    if (schema.guild === 'max' && result.value > BOT_SETTINGS[key]) {
+      return { error: `\`${key}\` can't exceed the bot-wide limit of ${BOT_SETTINGS[key]}.` };
+    }
+    overrides[key] = result.value;
   }
-  return resolved;
+  updateGuildSettings(guildId, { settingOverrides: Object.keys(overrides).length > 0 ? overrides : null });
+  return { value: getSetting(key, guildId) };
 }
 
-function buildReactionRoute(channelId, messageId, routeSegment) {
-  // Fluxer 1.18+ resolveEmoji returns already-encoded unicode; custom is "name:id". Don't double-encode.
-  const base = `/channels/${channelId}/messages/${messageId}/reactions`;
-  const segment = /%[0-9A-Fa-f]{2}/.test(routeSegment) ? routeSegment : encodeURIComponent(routeSegment);
-  return `${base}/${segment}/@me`;
+/** Upload limits of a guild: max size in bytes/MB, max duration and the accepted extensions. */
+function getUploadLimits(guildId) {
+  const maxMb = getSetting('maxSoundFileMb', guildId);
+  return {
+    maxMb,
+    maxBytes: Math.floor(maxMb * 1024 * 1024),
+    maxDurationSec: getSetting('maxSoundDurationSec', guildId),
+    extensions: getSetting('allowedAudioExtensions', guildId),
+  };
 }
 
-/** Returns true if emojiKey is a custom emoji (name:id) that exists in the given guild. */
-async function isCustomEmojiFromGuild(guildId, emojiKey) {
-  const m = String(emojiKey).match(/^\w+:(\d+)$/);
-  if (!m || !guildId) return false;
-  const id = m[1];
-  try {
-    const emojis = await client.rest.get(Routes.guildEmojis(guildId));
-    const list = Array.isArray(emojis) ? emojis : Object.values(emojis ?? {});
-    return list.some((e) => e?.id === id);
-  } catch {
-    return false;
-  }
+function isAllowedAudioFile(guildId, filename) {
+  const ext = (filename ?? '').match(/\.([^.]+)$/)?.[1]?.toLowerCase();
+  return ext != null && getUploadLimits(guildId).extensions.includes(ext);
 }
 
-/** Add bot's reaction to a message by channel/message id (for re-add after clear_emoji removal). */
-async function addBotReactionToMessage(channelId, messageId, emojiRaw, guildId, options = {}) {
-  const segment = options.animated && /^\w+:\d+$/.test(emojiRaw) ? `a:${emojiRaw}` : emojiRaw;
-  const route = buildReactionRoute(channelId, messageId, segment);
-  try {
-    await client.rest.put(route);
-  } catch (err) {
-    if (err?.message?.includes('Invalid form body') && /^\w+:\d+$/.test(emojiRaw) && !segment.startsWith('a:')) {
-      await client.rest.put(buildReactionRoute(channelId, messageId, `a:${emojiRaw}`));
-    } else {
-      throw err;
-    }
-  }
+/** "Unsupported format. Use MP3, WAV or OGG." for the guild's accepted extensions. */
+function unsupportedFormatMessage(guildId) {
+  const names = getUploadLimits(guildId).extensions.map((ext) => ext.toUpperCase());
+  const formats = new Intl.ListFormat(getSetting('language', guildId), { type: 'disjunction' }).format(names);
+  return t(guildId, 'upload.unsupportedFormat', { formats });
 }
 
-async function reactAsBot(message, emoji, guildId, options = {}) {
-  const emojiRaw = await client.resolveEmoji(emoji, guildId ?? message?.guildId ?? undefined);
-  // API wants name:id for custom (not <:name:id>). Use as-is for custom; unicode already correct.
-  const routeSegment = emojiRaw;
-  const route = buildReactionRoute(message.channelId, message.id, routeSegment);
-  log('[reaction] PUT', route);
-  log('[reaction]   segment (raw):', JSON.stringify(routeSegment));
+// ============================================================
+// LOCALIZATION - Reply and board texts per language, from locales/<code>.json (per-guild `language` setting)
+// Messages may contain {name} placeholders; a message with `one`/`other` forms is picked by params.count.
+// A key missing in a language falls back to English, then to the key itself.
+// ============================================================
+const LOCALES_DIR = join(__dirname, 'locales');
+const DEFAULT_LANGUAGE = 'en';
+/** language code -> { key: message } */
+const locales = new Map();
+
+/** Load every catalogue in LOCALES_DIR. The English one is required; keys other languages lack are only warned about. */
+function loadLocales() {
+  locales.clear();
   try {
-    await client.rest.put(route);
-  } catch (err) {
-    if (err?.message?.includes('Invalid form body') && /^\w+:\d+$/.test(emojiRaw) && !options.animated) {
-      const retrySegment = `a:${emojiRaw}`;
-      const retryRoute = buildReactionRoute(message.channelId, message.id, retrySegment);
-      log('[reaction] retry PUT', retryRoute);
-      await client.rest.put(retryRoute);
-    } else {
-      throw err;
+    for (const file of readdirSync(LOCALES_DIR).filter((name) => name.endsWith('.json')).sort()) {
+      try {
+        locales.set(basename(file, '.json').toLowerCase(), JSON.parse(readFileSync(join(LOCALES_DIR, file), 'utf8')));
+      } catch (error) {
+        logError(`Could not load ${file}:`, error.message);
+      }
     }
+  } catch (error) {
+    logError(`Could not read ${LOCALES_DIR}:`, error.message);
+  }
+  const fallback = locales.get(DEFAULT_LANGUAGE);
+  if (!fallback) {
+    logError(`Missing ${join(LOCALES_DIR, `${DEFAULT_LANGUAGE}.json`)}`);
+    process.exit(1);
   }
+  for (const [code, messages] of locales) {
+    const missing = Object.keys(fallback).filter((key) => !(key in messages));
+    if (missing.length > 0) logWarn(`Locale ${code} lacks ${missing.length} message(s), using English for: ${missing.join(', ')}`);
+  }
+  log(`Loaded languages: ${[...locales.keys()].join(', ')}`);
 }
 
-async function getAudioDuration(filePath) {
-  try {
-    const { stdout } = await execAsync(
-      `ffprobe -v error -show_entries format=duration -of default=noprint_wrappers=1:nokey=1 "${filePath}"`
-    );
-    return parseFloat(stdout.trim());
-  } catch (error) {
-    logError('Error getting duration:', error.message);
-    return 3;
+function hasMessage(key) {
+  return key in (locales.get(DEFAULT_LANGUAGE) ?? {});
+}
+
+/** Message `key` in `language` with its placeholders filled in. */
+function translate(language, key, params = {}) {
+  let message = locales.get(language)?.[key];
+  if (message == null) {
+    language = DEFAULT_LANGUAGE;
+    message = locales.get(DEFAULT_LANGUAGE)?.[key] ?? key;
   }
+  if (typeof message === 'object') {
+    message = message[new Intl.PluralRules(language).select(Number(params.count))] ?? message.other;
+  }
+  return message.replace(/\{(\w+)\}/g, (match, name) => (params[name] != null ? String(params[name]) : match));
 }
 
-// Download file from URL
-async function downloadFile(url, destPath) {
-  return new Promise((resolve, reject) => {
-    const protocol = url.startsWith('https') ? https : http;
-    const file = createWriteStream(destPath);
-    
-    protocol.get(url, (response) => {
-      if (response.statusCode !== 200) {
-        reject(new Error(`Failed to download: ${response.statusCode}`));
-        return;
-      }
-      
-      response.pipe(file);
-      file.on('finish', () => {
-        file.close();
-        resolve();
-      });
-    }).on('error', (err) => {
-      unlinkSync(destPath);
-      reject(err);
-    });
-  });
+/** Message `key` in the guild's language. */
+function t(guildId, key, params = {}) {
+  return translate(getSetting('language', guildId), key, params);
 }
 
-// Opus bitrate for soundboard clips (lower = less bandwidth, may reduce stutter; 96k is plenty for short clips)
-const OPUS_BITRATE = '96k';
+// ============================================================
+// GUILD CONFIG - Per-guild soundboard settings
+// { <guildId>: { channelId?: string, disabled?: true, boardChannelId?: string, boardMessageIds?: string[], categories?: string[],
+//   queueMaxLength?: number, queueMaxPerUser?: number, mixingEnabled?: boolean, mixingMaxVoices?: number,
+//   audioNormalize?: boolean, audioTargetLufs?: number, audioTrimSilence?: boolean, audioFadeMs?: number,
+//   cooldownUserSec?: number, cooldownSoundSec?: number, rateLimitCount?: number, rateLimitWindowSec?: number,
+//   showPlayCounts?: boolean, entrancesEnabled?: boolean, entranceCooldownSec?: number, entranceAllowed?: string[],
+//   entrances?: { [userId]: emoji }, entranceOptOut?: string[], settingOverrides?: { [BOT_SETTINGS_SCHEMA key]: value } } }
+// categories: board section order; a sound's category is stored on the sound in sounds-config.json.
+// boardChannelId/boardMessageIds point at the posted soundboard pages so they are edited in place after a restart.
+// ============================================================
+/** guildId -> settings object */
+let GUILD_CONFIG = {};
+
+function loadGuildConfig() {
+  const raw = loadStore('guilds');
+  GUILD_CONFIG = typeof raw === 'object' && raw !== null ? raw : {};
+  if (raw) log(`Loaded guild config for ${Object.keys(GUILD_CONFIG).length} guild(s)`);
+}
 
-// Convert audio file to webm using ffmpeg
-async function convertToWebm(inputPath, outputPath) {
+function saveGuildConfig() {
   try {
-    await execAsync(`ffmpeg -y -i "${inputPath}" -c:a libopus -b:a ${OPUS_BITRATE} "${outputPath}"`);
-    return true;
+    writeStore('guilds', GUILD_CONFIG);
+    log('Guild config saved');
   } catch (error) {
-    logError('Conversion error:', error.message);
-    return false;
+    logError('Error saving guild config:', error.message);
   }
 }
 
-// Sanitize filename
-function sanitizeFilename(name) {
-  return name.toLowerCase().replace(/[^a-z0-9-_]/g, '-');
+function getGuildSettings(guildId) {
+  if (!guildId) return {};
+  return GUILD_CONFIG[guildId] ?? {};
 }
 
-function buildEmbedDescription() {
-  const soundList = Object.entries(SOUNDS)
-    .map(([emoji, sound]) => `${displayEmojiForEmbed(emoji, sound.animated)} ${sound.name}`)
-    .join('\n');
+/** Merge settings for a guild and save. Keys set to undefined/null are removed. */
+function updateGuildSettings(guildId, changes) {
+  if (!guildId) return;
+  const settings = { ...getGuildSettings(guildId), ...changes };
+  for (const [key, value] of Object.entries(settings)) {
+    if (value === undefined || value === null) delete settings[key];
+  }
+  if (Object.keys(settings).length === 0) delete GUILD_CONFIG[guildId];
+  else GUILD_CONFIG[guildId] = settings;
+  saveGuildConfig();
+}
 
-  return `**React to play sounds**\n\n${soundList || '_No sounds yet._'}`;
+/** True if an admin turned the soundboard off for this guild (`!soundboard config channel off`). */
+function isSoundboardDisabled(guildId) {
+  return getGuildSettings(guildId).disabled === true;
 }
 
-function buildEmbed() {
-  return new EmbedBuilder()
-    .setTitle('🎵 Soundboard')
-    .setDescription(buildEmbedDescription())
-    .setColor(0x00FF41)
-    .setFooter({ text: 'Join a voice channel and react!' });
+/** Category names of a guild in board order. */
+function getGuildCategories(guildId) {
+  const list = getGuildSettings(guildId).categories;
+  return Array.isArray(list) ? [...list] : [];
 }
 
-async function postSoundboard(channelId, guildId) {
-  const channel = client.channels.get(channelId);
-  const resolvedGuildId = guildId ?? channel?.guildId;
+function setGuildCategories(guildId, categories) {
+  updateGuildSettings(guildId, { categories: categories.length > 0 ? categories : undefined });
+}
 
-  const message = await client.channels.send(channelId, {
-    embeds: [buildEmbed().toJSON()]
-  });
+/** Existing category name matching `name` case-insensitively, or null. */
+function findCategory(guildId, name) {
+  const lower = String(name ?? '').trim().toLowerCase();
+  return getGuildCategories(guildId).find((c) => c.toLowerCase() === lower) ?? null;
+}
 
-  soundboardMessageIds.set(resolvedGuildId, message.id);
+/** Existing category matching `name`, or create it at the end of the board order. Returns the stored name. */
+function ensureCategory(guildId, name) {
+  const existing = findCategory(guildId, name);
+  if (existing) return existing;
+  const trimmed = String(name).trim();
+  setGuildCategories(guildId, [...getGuildCategories(guildId), trimmed]);
+  return trimmed;
+}
 
-  for (const [emoji, sound] of Object.entries(SOUNDS)) {
-    try {
-      await reactAsBot(message, emoji, resolvedGuildId, { animated: sound.animated });
-    } catch (err) {
-      logError(`Failed to react with ${emoji} in channel ${channelId}:`, err.message);
-    }
-  }
+const MAX_CATEGORY_NAME_LENGTH = 50;
 
-  return message;
+/** Error message for an invalid category name, or null if it is fine. The board's "Uncategorized" title is reserved in every language. */
+function validateCategoryName(name, guildId) {
+  const trimmed = String(name ?? '').trim();
+  if (!trimmed) return t(guildId, 'category.invalid.empty');
+  if (trimmed.length > MAX_CATEGORY_NAME_LENGTH) return t(guildId, 'category.invalid.tooLong', { max: MAX_CATEGORY_NAME_LENGTH });
+  const reserved = ['none', ...[...locales.keys()].map((code) => translate(code, 'board.uncategorized').toLowerCase())];
+  if (reserved.includes(trimmed.toLowerCase())) return t(guildId, 'category.invalid.reserved', { name: trimmed });
+  if (trimmed.includes('"') || trimmed.includes(',')) return t(guildId, 'category.invalid.characters');
+  return null;
 }
 
-async function deleteBotMessages(channelId) {
-  try {
-    const messages = await client.rest.get(`/channels/${channelId}/messages`, {
-      query: { limit: 100 }
-    });
+/** Remember where a guild's soundboard messages live (persisted across restarts). */
+function setSoundboardMessages(guildId, channelId, messageIds) {
+  soundboardMessageIds.set(guildId, new Set(messageIds));
+  soundboardChannelIds.set(guildId, channelId);
+  updateGuildSettings(guildId, { boardChannelId: channelId, boardMessageIds: [...messageIds], boardMessageId: undefined });
+}
 
-    const botMessages = messages.filter(msg => msg.author.id === client.user.id);
+function clearSoundboardMessages(guildId) {
+  soundboardMessageIds.delete(guildId);
+  soundboardChannelIds.delete(guildId);
+  const settings = getGuildSettings(guildId);
+  if (settings.boardMessageIds || settings.boardMessageId) {
+    updateGuildSettings(guildId, { boardChannelId: undefined, boardMessageIds: undefined, boardMessageId: undefined });
+  }
+}
 
-    for (const msg of botMessages) {
+/** Fill the in-memory soundboard message maps from the guild config after startup. */
+function restoreSoundboardMessages() {
+  for (const [guildId, settings] of Object.entries(GUILD_CONFIG)) {
+    if (!settings?.boardChannelId) continue;
+    // boardMessageId: single-message boards from before pages existed
+    const ids = Array.isArray(settings.boardMessageIds) ? settings.boardMessageIds : [settings.boardMessageId].filter(Boolean);
+    if (ids.length === 0) continue;
+    soundboardMessageIds.set(guildId, new Set(ids));
+    soundboardChannelIds.set(guildId, settings.boardChannelId);
+  }
+}
+
+// ============================================================
+// PLAY STATS - Every play attempt is appended to soundboard-plays.jsonl
+// ============================================================
+/** Play log entries, oldest first: { guildId, soundKey, soundName, userId, channelId, at, blocked? } (blocked = reason string) */
+let PLAY_LOG = [];
+// With play counts on the board, refresh it at most this often after plays
+const BOARD_REFRESH_DELAY_MS = 60_000;
+const boardRefreshTimeouts = new Map();
+// Expired plays are dropped from the log on startup and then once a day
+const PLAY_STATS_COMPACT_INTERVAL_MS = 86_400_000;
+
+function loadPlayStats() {
+  PLAY_LOG = [];
+  if (!existsSync(PLAY_STATS_PATH)) return;
+  try {
+    let skipped = 0;
+    for (const line of readFileSync(PLAY_STATS_PATH, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
       try {
-        await client.rest.delete(`/channels/${channelId}/messages/${msg.id}`);
-      } catch (e) {
-        // Ignore
+        PLAY_LOG.push(JSON.parse(line));
+      } catch (_) {
+        skipped++;
       }
     }
-
-    return botMessages.length;
+    const expired = prunePlayLog();
+    log(`Loaded ${PLAY_LOG.length} play(s) from stats log${skipped ? ` (${skipped} unreadable line(s) skipped)` : ''}${expired ? ` (${expired} expired)` : ''}`);
+    if (skipped || expired) savePlayStats();
   } catch (error) {
-    return 0;
+    logError('Error loading play stats:', error.message);
   }
 }
 
-function findSoundboardChannel(guildId, guildChannels) {
-  const list = Array.isArray(guildChannels) ? guildChannels : Array.from(guildChannels?.values?.() ?? []);
-  const textChannels = list.filter(c => (c.guildId === guildId || c.guild_id === guildId) && (c.type === 0 || c.type === 'GUILD_TEXT' || c.type == null));
+/** Rewrite the log file from PLAY_LOG (after plays were moved, removed or expired). */
+function savePlayStats() {
+  try {
+    writeFileAtomic(PLAY_STATS_PATH, PLAY_LOG.map((play) => `${JSON.stringify(play)}\n`).join(''));
+  } catch (error) {
+    logError('Error saving play stats:', error.message);
+  }
+}
 
-  return (
-    textChannels.find(c => c.name?.toLowerCase() === 'soundboard') ||
-    textChannels.find(c => c.name?.toLowerCase() === 'sounds') ||
-    textChannels.find(c => c.name?.toLowerCase() === 'bot') ||
-    textChannels.find(c => c.name?.toLowerCase() === 'bot-commands') ||
-    textChannels[0] ||
-    null
-  );
+/** Drop plays older than the playStatsRetentionDays setting from PLAY_LOG. Returns how many were dropped. */
+function prunePlayLog() {
+  const days = getSetting('playStatsRetentionDays');
+  if (!days) return 0;
+  const since = Date.now() - days * STATS_RANGE_UNITS_MS.d;
+  const before = PLAY_LOG.length;
+  PLAY_LOG = PLAY_LOG.filter((play) => play.at >= since);
+  return before - PLAY_LOG.length;
 }
 
-/** Pick a text channel from raw API channel list (array of { id, name, type }). */
-function pickTextChannelFromApiList(channels, _guildId) {
-  const list = Array.isArray(channels) ? channels : Object.values(channels ?? {});
-  const text = list.filter(c => c.type === 0 || c.type === 'GUILD_TEXT');
-  return (
-    text.find(c => (c.name || '').toLowerCase() === 'soundboard') ||
-    text.find(c => (c.name || '').toLowerCase() === 'sounds') ||
-    text.find(c => (c.name || '').toLowerCase() === 'bot') ||
-    text.find(c => (c.name || '').toLowerCase() === 'bot-commands') ||
-    text[0] ||
-    null
-  );
+function compactPlayStats() {
+  const expired = prunePlayLog();
+  if (expired === 0) return;
+  savePlayStats();
+  log(`Dropped ${expired} expired play(s) from stats log`);
 }
 
-/** When gateway has 0 guilds in cache, fetch guilds from API and post soundboard in each. */
-async function setupSoundboardsFromApi() {
+/** Record a play (or a blocked play attempt) in memory and in the log file. */
+function recordPlayStat(entry) {
+  const record = { ...entry, at: entry.at ?? Date.now() };
+  if (!record.blocked) delete record.blocked;
+  PLAY_LOG.push(record);
   try {
-    const data = await client.rest.get(Routes.currentUserGuilds());
-    const guilds = Array.isArray(data) ? data : (data?.guilds ?? Object.values(data ?? {}));
-    if (!guilds.length) {
-      log('No guilds returned from /users/@me/guilds');
-      return;
-    }
-    log(`Fetched ${guilds.length} guild(s) from API`);
-    for (const g of guilds) {
-      const guildId = g.id ?? g.guild_id;
-      const guildName = g.name ?? guildId;
-      if (!guildId) continue;
-      try {
-        const channelsData = await client.rest.get(Routes.guildChannels(guildId));
-        const ch = pickTextChannelFromApiList(channelsData, guildId);
-        if (!ch) {
-          logWarn(`No text channel found for guild ${guildName} (${guildId})`);
-          continue;
-        }
-        const channelId = ch.id;
-        log(`Using channel #${ch.name || channelId} (${channelId}) for ${guildName}`);
-        await deleteBotMessages(channelId);
-        await postSoundboard(channelId, guildId);
-        log('Soundboard posted successfully!');
-      } catch (e) {
-        logError(`Failed to setup soundboard for ${guildName}:`, e?.message ?? e);
-      }
+    appendFileSync(PLAY_STATS_PATH, `${JSON.stringify(record)}\n`);
+  } catch (error) {
+    logError('Error saving play stats:', error.message);
+  }
+  if (!record.blocked && getGuildSettings(record.guildId).showPlayCounts) scheduleBoardRefresh(record.guildId);
+}
+
+/** Move a sound's play history to its new emoji key (after `!soundboard emoji`) and rewrite the log file. */
+function moveSoundPlayStats(guildId, oldKey, newKey) {
+  let moved = 0;
+  for (const play of PLAY_LOG) {
+    if (play.guildId === guildId && play.soundKey === oldKey) {
+      play.soundKey = newKey;
+      moved++;
     }
-  } catch (e) {
-    logError('Failed to fetch guilds from API:', e?.message ?? e);
   }
+  if (moved) savePlayStats();
 }
 
-async function setupSoundboard(guildId, guildName) {
-  log(`\nSetting up soundboard for: ${guildName} (${guildId})`);
+/** Forget a removed sound's plays, so a new sound on the same emoji starts at zero. */
+function removeSoundPlayStats(guildId, emojiKey) {
+  const before = PLAY_LOG.length;
+  PLAY_LOG = PLAY_LOG.filter((play) => play.guildId !== guildId || play.soundKey !== emojiKey);
+  if (PLAY_LOG.length !== before) savePlayStats();
+}
 
-  const guild = client.guilds.get(guildId);
-  let channels = guild?.channels ?? client.channels;
-  let channelCount = Array.isArray(channels) ? channels.length : (channels?.size ?? 0);
+/** Successful plays (or blocked attempts with { blocked: true }) of a guild since `since` (ms timestamp). */
+function getGuildPlays(guildId, { since = 0, blocked = false } = {}) {
+  return PLAY_LOG.filter((p) => p.guildId === guildId && p.at >= since && Boolean(p.blocked) === blocked);
+}
 
-  if (!channelCount || channelCount === 0) {
-    log(`No channels in cache, fetching from API...`);
-    try {
-      if (guild && typeof guild.fetchChannels === 'function') {
-        await guild.fetchChannels();
-        channels = guild.channels;
-        channelCount = channels?.size ?? 0;
-      }
-    } catch (e) {
-      logError(`Failed to fetch channels: ${e?.message}`);
-    }
-  }
+/** Count entries by a key, most frequent first: [[value, count], ...] */
+function countPlaysBy(plays, key) {
+  const counts = new Map();
+  for (const play of plays) counts.set(play[key], (counts.get(play[key]) ?? 0) + 1);
+  return [...counts].sort((a, b) => b[1] - a[1]);
+}
 
-  const soundboardChannel = findSoundboardChannel(guildId, channels);
+/** soundKey -> all-time play count for the board, or null if the guild doesn't show play counts. */
+function getBoardPlayCounts(guildId) {
+  if (!getGuildSettings(guildId).showPlayCounts) return null;
+  return new Map(countPlaysBy(getGuildPlays(guildId), 'soundKey'));
+}
 
-  if (!soundboardChannel) {
-    log(`No suitable text channel found in ${guildName} (${channelCount} channel(s) checked)`);
-    return;
-  }
+function scheduleBoardRefresh(guildId) {
+  if (boardRefreshTimeouts.has(guildId)) return;
+  boardRefreshTimeouts.set(guildId, setTimeout(() => {
+    boardRefreshTimeouts.delete(guildId);
+    reloadGuildSoundboard(guildId).catch((error) => logWarn('Board refresh failed:', error?.message ?? error));
+  }, BOARD_REFRESH_DELAY_MS));
+}
 
-  const channelId = soundboardChannel.id;
-  log(`Using channel: #${soundboardChannel.name} (${channelId})`);
+const STATS_RANGE_UNITS_MS = { h: 3_600_000, d: 86_400_000, w: 604_800_000 };
 
-  const deleted = await deleteBotMessages(channelId);
-  if (deleted > 0) {
-    log(`Deleted ${deleted} old bot message(s)`);
-  }
+/** Parse a stats range like "24h", "7d" or "4w" into a since-timestamp; "all" or nothing = 0. Null if invalid. */
+function parseStatsRange(input) {
+  if (!input || input === 'all') return 0;
+  const m = input.match(/^(\d+)([hdw])$/);
+  if (!m) return null;
+  return Date.now() - parseInt(m[1], 10) * STATS_RANGE_UNITS_MS[m[2]];
+}
 
-  try {
-    await postSoundboard(channelId, guildId);
-    log(`Soundboard posted successfully!`);
-  } catch (error) {
-    logError(`Failed to post soundboard: ${error?.message}`);
-  }
+/** Mention for a member; plays started by the HTTP API or schedules are shown as-is. */
+function formatStatsUser(userId) {
+  return /^\d+$/.test(userId) ? `<@${userId}>` : userId;
 }
 
-/** Actual users (excluding bot) in channel from gateway voice state. Source of truth for leave decision. */
-function getActualUserCountInChannel(guildId, channelId) {
-  const guildVoiceStates = voiceManager.voiceStates?.get(guildId);
-  if (!guildVoiceStates) return 0;
-  let count = 0;
-  for (const [userId, chId] of guildVoiceStates) {
-    if (userId === client.user.id) continue;
-    if (chId === channelId) count++;
-  }
-  return count;
+function formatPlayTime(at) {
+  return `${new Date(at).toISOString().slice(0, 16).replace('T', ' ')} UTC`;
 }
 
-async function checkAndLeaveIfEmpty(guildId, botChannelId) {
-  const actualCount = getActualUserCountInChannel(guildId, botChannelId);
+// Initialize
+loadLocales();
+loadBotSettings();
+openStorage();
+loadSoundsConfig();
+loadRolesConfig();
+loadGuildConfig();
+restoreSoundboardMessages();
+loadPlayStats();
+setInterval(compactPlayStats, PLAY_STATS_COMPACT_INTERVAL_MS).unref();
+loadSchedules();
 
-  log(`checkAndLeaveIfEmpty: ${actualCount} user(s) in channel`);
+const isPlaying = new Map();
+/** guildId -> Map(emojiKey -> duration in seconds) */
+const soundDurations = new Map();
 
-  if (actualCount === 0) {
-    log('No users left, leaving voice channel...');
-    voiceManager.leave(guildId);
-    isPlaying.delete(guildId);
-  } else {
-    log(`Staying: ${actualCount} user(s) still in channel`);
-  }
+function getSoundDuration(guildId, emojiKey) {
+  return soundDurations.get(guildId)?.get(emojiKey);
 }
 
-// Reload all soundboards in all guilds (uses API when gateway cache has 0 guilds)
-async function reloadAllSoundboards() {
-  const guildCount = client.guilds?.size ?? 0;
-  if (guildCount > 0) {
-    for (const [guildId, guild] of client.guilds) {
-      const soundboardChannel = findSoundboardChannel(guildId, guild?.channels ?? client.channels);
-      if (!soundboardChannel) continue;
-
-      await deleteBotMessages(soundboardChannel.id);
+function setSoundDuration(guildId, emojiKey, duration) {
+  if (!soundDurations.has(guildId)) soundDurations.set(guildId, new Map());
+  soundDurations.get(guildId).set(emojiKey, duration);
+}
 
-      try {
-        await postSoundboard(soundboardChannel.id, guildId);
-        log(`Reloaded soundboard in ${guild.name}`);
-      } catch (error) {
-        logError(`Failed to reload soundboard in ${guild.name}:`, error.message);
-      }
-    }
-    return;
-  }
-  // Gateway had 0 guilds: use API to find guilds/channels and reload
-  try {
-    const data = await client.rest.get(Routes.currentUserGuilds());
-    const guilds = Array.isArray(data) ? data : (data?.guilds ?? Object.values(data ?? {}));
-    for (const g of guilds) {
-      const guildId = g.id ?? g.guild_id;
-      const guildName = g.name ?? guildId;
-      if (!guildId) continue;
-      try {
-        const channelsData = await client.rest.get(Routes.guildChannels(guildId));
-        const ch = pickTextChannelFromApiList(channelsData, guildId);
-        if (!ch) continue;
-        await deleteBotMessages(ch.id);
-        await postSoundboard(ch.id, guildId);
-        log(`Reloaded soundboard in ${guildName}`);
-      } catch (e) {
-        logError(`Failed to reload soundboard for ${guildName}:`, e?.message ?? e);
-      }
-    }
-  } catch (e) {
-    logError('Failed to fetch guilds for reload:', e?.message ?? e);
-  }
+function deleteSoundDuration(guildId, emojiKey) {
+  soundDurations.get(guildId)?.delete(emojiKey);
 }
 
 // ============================================================
-// EVENT HANDLERS (wrapped so errors don't crash the process)
+// HELPERS
 // ============================================================
 
-function safeHandler(fn) {
-  return async (...args) => {
-    try {
-      await fn(...args);
-    } catch (err) {
-      logError('[handler error]', err?.message ?? err);
-      if (err?.stack) logError(err.stack);
-    }
-  };
+/** Resolve a user as a member of the given guild (null if the bot or the user is not in it). */
+async function getGuildMember(guildId, userId) {
+  if (!guildId || !userId) return null;
+  const guild = client.guilds.get(guildId);
+  if (!guild) return null;
+  const members = guild.members?.cache ?? guild.members;
+  return members?.get?.(userId) ?? members?.resolve?.(userId) ?? null;
+}
+
+/** Resolve the author of the message as a guild member (null in DMs or if not in guild). */
+async function getMessageMember(message) {
+  if (!message.guildId) return null;
+  return getGuildMember(message.guildId, message.author.id);
+}
+
+/** True if the member can change soundboard role config (Manage Guild permission). */
+function canConfigureRoles(member) {
+  return member && member.permissions && member.permissions.has(PermissionFlags.ManageGuild);
+}
+
+/** True if the member can add/remove sounds: has Manage Guild or has one of the allowed roles. */
+function canManageSoundboard(member, guildId) {
+  if (!member) return false;
+  if (member.permissions && member.permissions.has(PermissionFlags.ManageGuild)) return true;
+  const allowed = getAllowedRoleIds(guildId);
+  if (allowed.length === 0) return false;
+  const cache = member.roles?.cache;
+  if (!cache) return false;
+  return allowed.some((roleId) => cache.has(roleId));
+}
+
+function displayEmojiForEmbed(key, animated = false) {
+  const s = String(key ?? '');
+  if (s.startsWith('<:') || s.startsWith('<a:')) return s;
+  const m = s.match(/^(\w+):(\d+)$/);
+  if (m) return animated ? `<a:${m[1]}:${m[2]}>` : `<:${m[1]}:${m[2]}>`;
+  return s;
+}
+
+/** Fluxer 1.18+ resolveEmoji returns encodeURIComponent(unicode) for shortcodes. Store raw unicode or name:id for keys. */
+function normalizeEmojiKeyForStorage(resolved) {
+  if (/^\w+:\d+$/.test(resolved)) return resolved;
+  try {
+    if (/%[0-9A-Fa-f]{2}/.test(resolved)) return decodeURIComponent(resolved);
+  } catch {
+    // ignore
+  }
+  return resolved;
+}
+
+function buildReactionRoute(channelId, messageId, routeSegment) {
+  // Fluxer 1.18+ resolveEmoji returns already-encoded unicode; custom is "name:id". Don't double-encode.
+  const base = `/channels/${channelId}/messages/${messageId}/reactions`;
+  const segment = /%[0-9A-Fa-f]{2}/.test(routeSegment) ? routeSegment : encodeURIComponent(routeSegment);
+  return `${base}/${segment}/@me`;
+}
+
+/** Returns true if emojiKey is a custom emoji (name:id) that exists in the given guild. */
+async function isCustomEmojiFromGuild(guildId, emojiKey) {
+  const m = String(emojiKey).match(/^\w+:(\d+)$/);
+  if (!m || !guildId) return false;
+  const id = m[1];
+  try {
+    const emojis = await client.rest.get(Routes.guildEmojis(guildId));
+    const list = Array.isArray(emojis) ? emojis : Object.values(emojis ?? {});
+    return list.some((e) => e?.id === id);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Resolve and validate the emoji for a new sound or a sound's new emoji: not the reserved stop emoji,
+ * custom emojis only from this server, and not already used on the board.
+ * Returns { emojiKey, animated } or { error } (reply text without the ❌ prefix).
+ */
+async function resolveSoundEmoji(guildId, emojiInput) {
+  let emojiKey;
+  try {
+    emojiKey = normalizeEmojiKeyForStorage(await client.resolveEmoji(emojiInput, guildId));
+  } catch (e) {
+    return { error: t(guildId, 'emoji.error.invalid', { error: e.message }) };
+  }
+  if (isStopEmoji(emojiKey)) {
+    return { error: t(guildId, 'emoji.error.reserved', { emoji: STOP_EMOJI }) };
+  }
+  if (/^\w+:\d+$/.test(emojiKey) && !(await isCustomEmojiFromGuild(guildId, emojiKey))) {
+    return { error: t(guildId, 'emoji.error.foreign') };
+  }
+  const existing = getGuildSounds(guildId)[emojiKey];
+  if (existing) {
+    return { error: t(guildId, 'emoji.error.inUse', { emoji: displayEmojiForEmbed(emojiKey, existing.animated), name: existing.name }) };
+  }
+  return { emojiKey, animated: /^<a:\w+:\d+>$/i.test(String(emojiInput).trim()) };
+}
+
+/** First attachment of a message, or null. */
+function getFirstAttachment(message) {
+  // Fluxer.js uses Collection (Map-like) for message.attachments, not an array
+  let attachment = null;
+  if (message.attachments) {
+    if (typeof message.attachments.values === 'function' && message.attachments.size > 0) {
+      const first = message.attachments.first?.() ?? message.attachments.values().next().value;
+      attachment = first ?? Array.from(message.attachments.values())[0];
+    } else if (Array.isArray(message.attachments) && message.attachments.length > 0) {
+      attachment = message.attachments[0];
+    } else if (typeof message.attachments === 'object') {
+      const values = Object.values(message.attachments);
+      if (values.length > 0) attachment = values[0];
+    }
+  }
+  return attachment;
+}
+
+/** The message's audio attachment as { url } after checking size and extension, or { error } (reply text without the ❌ prefix). */
+function getAudioAttachment(message) {
+  const attachment = getFirstAttachment(message);
+  const url = attachment?.url ?? attachment?.proxy_url;
+  if (!attachment || !url) {
+    return { error: t(message.guildId, 'upload.noAttachment') };
+  }
+  const { maxBytes, maxMb } = getUploadLimits(message.guildId);
+  const size = attachment.size ?? attachment.content_length;
+  if (size != null && size > maxBytes) {
+    return { error: t(message.guildId, 'upload.tooLarge', { max: maxMb }) };
+  }
+  const name = attachment.filename ?? attachment.file_name ?? '';
+  if (!isAllowedAudioFile(message.guildId, name)) {
+    return { error: unsupportedFormatMessage(message.guildId) };
+  }
+  return { url };
+}
+
+/**
+ * Take an uploaded sound ({ url } of an attachment or { data } bytes from the HTTP API), process it into webmFile
+ * (clip, trim, normalize) and check its length. Returns { ok: true, duration, processed } or { ok: false, error } with webmFile removed.
+ */
+async function importUploadedSound(upload, guildId, webmFile, clip = null) {
+  const soundsDir = getGuildSoundsDir(guildId);
+  if (!existsSync(soundsDir)) mkdirSync(soundsDir, { recursive: true });
+  const tempFile = join(soundsDir, `temp_${Date.now()}.tmp`);
+  const { maxBytes, maxMb, maxDurationSec } = getUploadLimits(guildId);
+  const fail = (error) => {
+    if (existsSync(webmFile)) unlinkSync(webmFile);
+    return { ok: false, error };
+  };
+
+  let processed;
+  try {
+    if (upload.data) {
+      writeFileSync(tempFile, upload.data);
+    } else {
+      log(`Downloading ${upload.url}...`);
+      await downloadFile(upload.url, tempFile);
+    }
+    if (existsSync(tempFile) && statSync(tempFile).size > maxBytes) {
+      return fail(t(guildId, 'upload.tooLarge', { max: maxMb }));
+    }
+    log(`Processing and converting to webm...`);
+    processed = await processSoundFile(tempFile, webmFile, guildId, clip);
+  } finally {
+    if (existsSync(tempFile)) unlinkSync(tempFile);
+  }
+  if (!processed.ok) {
+    return fail(t(guildId, 'upload.conversionFailed'));
+  }
+
+  const duration = await getAudioDuration(webmFile);
+  if (!(duration > 0)) {
+    return fail(t(guildId, 'upload.emptyClip'));
+  }
+  if (duration > maxDurationSec) {
+    const error = t(guildId, 'upload.tooLong', { max: maxDurationSec, duration: duration.toFixed(1) });
+    return fail(clip ? error : `${error} ${t(guildId, 'upload.tooLong.hint')}`);
+  }
+  return { ok: true, duration, processed };
+}
+
+/** Register a processed sound file (already in the guild's sounds dir) under emojiKey, preload it and save the config. */
+async function addSoundToLibrary(guildId, emojiKey, { name, filename, animated = false, category, duration }) {
+  const guildSounds = getGuildSounds(guildId);
+  const path = join(getGuildSoundsDir(guildId), filename);
+  guildSounds[emojiKey] = { name, file: filename, path };
+  if (animated) guildSounds[emojiKey].animated = true;
+  if (category) guildSounds[emojiKey].category = ensureCategory(guildId, category);
+  try {
+    guildSounds[emojiKey].buffer = await readFile(path);
+  } catch (e) {
+    logWarn('Could not preload new sound buffer:', e?.message);
+  }
+  setSoundDuration(guildId, emojiKey, duration);
+  saveSoundsConfig();
+  return guildSounds[emojiKey];
+}
+
+/** Rename a sound (and its file, to keep them in step) and save the config. */
+function renameSoundInLibrary(guildId, emojiKey, newName) {
+  const sound = getGuildSounds(guildId)[emojiKey];
+  if (sound.file !== `${sanitizeFilename(newName)}.webm`) {
+    const filename = uniqueSoundFilename(guildId, sanitizeFilename(newName));
+    const newPath = join(getGuildSoundsDir(guildId), filename);
+    try {
+      if (sound.path && existsSync(sound.path)) renameSync(sound.path, newPath);
+      sound.file = filename;
+      sound.path = newPath;
+    } catch (err) {
+      logWarn('Could not rename sound file:', sound.path, err?.message);
+    }
+  }
+  sound.name = newName;
+  saveSoundsConfig();
+}
+
+/** Put a guild's sounds in the given emoji order (board order within each category); unlisted sounds keep their order at the end. */
+function reorderGuildSounds(guildId, emojiKeys) {
+  const guildSounds = getGuildSounds(guildId);
+  const entries = Object.entries(guildSounds);
+  const listed = [...new Set(emojiKeys)].filter((key) => guildSounds[key]);
+  const ordered = [...listed.map((key) => [key, guildSounds[key]]), ...entries.filter(([key]) => !listed.includes(key))];
+  for (const [key] of entries) delete guildSounds[key];
+  for (const [key, sound] of ordered) guildSounds[key] = sound;
+  saveSoundsConfig();
+}
+
+/** Delete a sound and its file from a guild's library, with its plays, entrances and schedules. Returns the removed sound or null. */
+function removeSoundFromLibrary(guildId, emojiKey) {
+  const guildSounds = getGuildSounds(guildId);
+  const sound = guildSounds[emojiKey];
+  if (!sound) return null;
+  if (sound.path && existsSync(sound.path)) {
+    try {
+      unlinkSync(sound.path);
+    } catch (err) {
+      logWarn('Could not delete sound file:', sound.path, err?.message);
+    }
+  }
+  delete guildSounds[emojiKey];
+  deleteSoundDuration(guildId, emojiKey);
+  removeSoundPlayStats(guildId, emojiKey);
+  removeEntranceSound(guildId, emojiKey);
+  removeScheduleSound(guildId, emojiKey);
+  saveSoundsConfig();
+  return sound;
+}
+
+/** Add bot's reaction to a message by channel/message id (for re-add after clear_emoji removal). */
+async function addBotReactionToMessage(channelId, messageId, emojiRaw, guildId, options = {}) {
+  const segment = options.animated && /^\w+:\d+$/.test(emojiRaw) ? `a:${emojiRaw}` : emojiRaw;
+  const route = buildReactionRoute(channelId, messageId, segment);
+  try {
+    await client.rest.put(route);
+  } catch (err) {
+    if (err?.message?.includes('Invalid form body') && /^\w+:\d+$/.test(emojiRaw) && !segment.startsWith('a:')) {
+      await client.rest.put(buildReactionRoute(channelId, messageId, `a:${emojiRaw}`));
+    } else {
+      throw err;
+    }
+  }
+}
+
+async function reactAsBot(message, emoji, guildId, options = {}) {
+  const emojiRaw = await client.resolveEmoji(emoji, guildId ?? message?.guildId ?? undefined);
+  // API wants name:id for custom (not <:name:id>). Use as-is for custom; unicode already correct.
+  const routeSegment = emojiRaw;
+  const route = buildReactionRoute(message.channelId, message.id, routeSegment);
+  log('[reaction] PUT', route);
+  log('[reaction]   segment (raw):', JSON.stringify(routeSegment));
+  try {
+    await client.rest.put(route);
+  } catch (err) {
+    if (err?.message?.includes('Invalid form body') && /^\w+:\d+$/.test(emojiRaw) && !options.animated) {
+      const retrySegment = `a:${emojiRaw}`;
+      const retryRoute = buildReactionRoute(message.channelId, message.id, retrySegment);
+      log('[reaction] retry PUT', retryRoute);
+      await client.rest.put(retryRoute);
+    } else {
+      throw err;
+    }
+  }
+}
+
+async function getAudioDuration(filePath) {
+  try {
+    const { stdout } = await execAsync(
+      `ffprobe -v error -show_entries format=duration -of default=noprint_wrappers=1:nokey=1 "${filePath}"`
+    );
+    return parseFloat(stdout.trim());
+  } catch (error) {
+    logError('Error getting duration:', error.message);
+    return 3;
+  }
+}
+
+// Download file from URL
+async function downloadFile(url, destPath) {
+  return new Promise((resolve, reject) => {
+    const protocol = url.startsWith('https') ? https : http;
+    const file = createWriteStream(destPath);
+    
+    protocol.get(url, (response) => {
+      if (response.statusCode !== 200) {
+        reject(new Error(`Failed to download: ${response.statusCode}`));
+        return;
+      }
+      
+      response.pipe(file);
+      file.on('finish', () => {
+        file.close();
+        resolve();
+      });
+    }).on('error', (err) => {
+      unlinkSync(destPath);
+      reject(err);
+    });
+  });
+}
+
+// Convert audio file to webm using ffmpeg (optionally through an -af filter chain) at the guild's Opus bitrate
+// (opusBitrateKbps: lower = less bandwidth, may reduce stutter; 96k is plenty for short clips)
+async function convertToWebm(inputPath, outputPath, filters = [], guildId = null) {
+  const filterArg = filters.length > 0 ? `-af "${filters.join(',')}" -ar ${LK_SAMPLE_RATE} ` : '';
+  try {
+    await execAsync(`ffmpeg -y -hide_banner -nostats -i "${inputPath}" ${filterArg}-c:a libopus -b:a ${getSetting('opusBitrateKbps', guildId)}k "${outputPath}"`);
+    return true;
+  } catch (error) {
+    logError('Conversion error:', error.message);
+    return false;
+  }
+}
+
+// ============================================================
+// AUDIO PROCESSING - Loudness normalization, silence trimming and fades when adding sounds
+// ============================================================
+// Defaults; admins can change them per guild with `!soundboard config audio <setting> <value>`
+const LOUDNESS_TARGET_LUFS = -16;
+const LOUDNESS_TRUE_PEAK_DBTP = -1.5;
+const LOUDNESS_RANGE_LU = 11;
+const SILENCE_THRESHOLD_DB = -50;
+const AUDIO_FADE_MS = 0;
+
+function getAudioSettings(guildId) {
+  const { audioNormalize, audioTargetLufs, audioTrimSilence, audioFadeMs } = getGuildSettings(guildId);
+  return {
+    normalize: audioNormalize ?? true,
+    targetLufs: audioTargetLufs ?? LOUDNESS_TARGET_LUFS,
+    trimSilence: audioTrimSilence ?? true,
+    fadeMs: audioFadeMs ?? AUDIO_FADE_MS,
+  };
+}
+
+/** Filters removing silence below SILENCE_THRESHOLD_DB at the start and end (the end is trimmed on the reversed signal). */
+function silenceTrimFilters() {
+  const trimStart = `silenceremove=start_periods=1:start_threshold=${SILENCE_THRESHOLD_DB}dB:start_silence=0.02`;
+  return [trimStart, 'areverse', trimStart, 'areverse'];
+}
+
+function fadeFilters(fadeMs) {
+  if (!fadeMs) return [];
+  const d = (fadeMs / 1000).toFixed(3);
+  return [`afade=t=in:d=${d}`, 'areverse', `afade=t=in:d=${d}`, 'areverse'];
+}
+
+/**
+ * Run ffmpeg's loudnorm analysis over a file (after `filters`) and return its measurements,
+ * e.g. { input_i: '-23.10', input_tp: '-4.02', input_lra, input_thresh, target_offset }. Null if it can't be measured.
+ * target_offset is relative to targetLufs, so pass the target the second pass will normalize to.
+ */
+async function measureLoudness(filePath, filters = [], targetLufs = LOUDNESS_TARGET_LUFS) {
+  const chain = [...filters, `loudnorm=I=${targetLufs}:TP=${LOUDNESS_TRUE_PEAK_DBTP}:LRA=${LOUDNESS_RANGE_LU}:print_format=json`];
+  try {
+    const { stderr } = await execAsync(`ffmpeg -hide_banner -nostats -i "${filePath}" -af "${chain.join(',')}" -f null -`);
+    const json = stderr.slice(stderr.lastIndexOf('{'), stderr.lastIndexOf('}') + 1);
+    return JSON.parse(json);
+  } catch (error) {
+    logWarn('Loudness measurement failed:', error.message);
+    return null;
+  }
+}
+
+/** "-16.0 LUFS, peak -1.6 dBTP" (in the guild's language) from a loudnorm measurement ("-inf" for silence). */
+function formatLoudness(measured, guildId) {
+  if (!measured) return t(guildId, 'sound.loudness.unknown');
+  const number = new Intl.NumberFormat(getSetting('language', guildId), { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+  const format = (value) => number.format(value === '-inf' ? -Infinity : Number(value));
+  return t(guildId, 'sound.loudness.value', { lufs: format(measured.input_i), peak: format(measured.input_tp) });
+}
+
+/** "Loudness: -23.1 LUFS, ... → -16.0 LUFS, ..." for a processSoundFile result. */
+function describeLoudnessChange(processed, guildId) {
+  return t(guildId, 'sound.loudness', { before: formatLoudness(processed.before, guildId), after: formatLoudness(processed.after, guildId) });
+}
+
+/** Parse "12", "12.5", "1:02" or "1:02:03.5" into seconds; null if it isn't a timestamp. */
+function parseTimestamp(input) {
+  if (!/^\d+(?::\d{1,2}){0,2}(?:\.\d+)?$/.test(input ?? '')) return null;
+  return input.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+}
+
+/**
+ * Take clip arguments out of command text: `--start <time>` / `--end <time>` (or `--start=<time>`) or a `<start>-<end>` range.
+ * Returns { rest, clip } where clip is { start, end } (either may be null) or null if none was given, or { error }.
+ */
+function extractClipRange(text, guildId) {
+  const values = {};
+  let rest = (text ?? '').replace(/(?:^|\s)--(start|end)(?:=|\s+)(\S+)/g, (_, key, value) => {
+    values[key] = value;
+    return '';
+  });
+  rest = rest.replace(/(?:^|\s)(\d[\d:.]*)-(\d[\d:.]*)(?=\s|$)/, (_, start, end) => {
+    values.start ??= start;
+    values.end ??= end;
+    return '';
+  });
+  rest = rest.trim();
+  const unknownOption = rest.match(/(?:^|\s)(--\S+)/);
+  if (unknownOption) return { error: t(guildId, 'clip.unknownOption', { option: unknownOption[1] }) };
+  if (values.start == null && values.end == null) return { rest, clip: null };
+
+  const clip = { start: null, end: null };
+  for (const key of ['start', 'end']) {
+    if (values[key] == null) continue;
+    clip[key] = parseTimestamp(values[key]);
+    if (clip[key] == null) return { error: t(guildId, `clip.invalid.${key}`, { time: values[key] }) };
+  }
+  if (clip.start != null && clip.end != null && clip.end <= clip.start) {
+    return { error: t(guildId, 'clip.endBeforeStart') };
+  }
+  return { rest, clip };
+}
+
+/** Filters cutting the audio to clip.start–clip.end (seconds); nothing if there is no clip. */
+function clipFilters(clip) {
+  if (!clip) return [];
+  const bounds = [clip.start != null && `start=${clip.start}`, clip.end != null && `end=${clip.end}`].filter(Boolean);
+  return [`atrim=${bounds.join(':')}`, 'asetpts=PTS-STARTPTS'];
+}
+
+/** "0:12.5–0:20.0" for replies; open ends are shown as start/end. */
+function formatClipRange(clip, guildId = null) {
+  const format = (sec) => `${Math.floor(sec / 60)}:${(sec % 60).toFixed(1).padStart(4, '0')}`;
+  return `${clip.start != null ? format(clip.start) : t(guildId, 'clip.start')}–${clip.end != null ? format(clip.end) : t(guildId, 'clip.end')}`;
+}
+
+/**
+ * Convert an uploaded file to the soundboard format using the guild's audio settings: cut it to `clip` if given,
+ * trim leading/trailing silence, normalize integrated loudness (two-pass loudnorm) and apply optional fades.
+ * Returns { ok, before, after } with loudnorm measurements of the (trimmed) input and of the result.
+ */
+async function processSoundFile(inputPath, outputPath, guildId, clip = null) {
+  const settings = getAudioSettings(guildId);
+  const filters = [...clipFilters(clip), ...(settings.trimSilence ? silenceTrimFilters() : [])];
+
+  const before = await measureLoudness(inputPath, filters, settings.targetLufs);
+  if (settings.normalize && before && Number.isFinite(Number(before.input_i))) {
+    filters.push(
+      `loudnorm=I=${settings.targetLufs}:TP=${LOUDNESS_TRUE_PEAK_DBTP}:LRA=${LOUDNESS_RANGE_LU}` +
+        `:measured_I=${before.input_i}:measured_TP=${before.input_tp}:measured_LRA=${before.input_lra}` +
+        `:measured_thresh=${before.input_thresh}:offset=${before.target_offset}:linear=true`
+    );
+  }
+  filters.push(...fadeFilters(settings.fadeMs));
+
+  const ok = await convertToWebm(inputPath, outputPath, filters, guildId);
+  if (!ok) return { ok, before, after: null };
+  const after = await measureLoudness(outputPath, [], settings.targetLufs);
+  return { ok, before, after };
+}
+
+// Sanitize filename
+function sanitizeFilename(name) {
+  return name.toLowerCase().replace(/[^a-z0-9-_]/g, '-');
+}
+
+// Reserved reaction on the first board page that stops the current sound (cannot be used for sounds)
+const STOP_EMOJI = '⏹️';
+const BOARD_CONTROL_EMOJIS = [STOP_EMOJI];
+
+function isStopEmoji(key) {
+  return normalizeReactionKey(key) === normalizeReactionKey(STOP_EMOJI);
+}
+
+// Reactions one message can hold; larger boards are split across several messages (pages)
+const MAX_REACTIONS_PER_MESSAGE = 20;
+const EMBED_DESCRIPTION_LIMIT = 4096;
+
+/** One board line; with `playCounts` (soundKey -> count) the play count is appended. */
+function formatSoundLine(emoji, sound, playCounts = null) {
+  const line = `${displayEmojiForEmbed(emoji, sound.animated)} ${sound.name}`;
+  return playCounts ? `${line} · ${playCounts.get(emoji) ?? 0}▶` : line;
+}
+
+/**
+ * Group a guild's sounds into board sections: one per category in the configured order, then "Uncategorized".
+ * A board without any categorized sound is a single untitled section.
+ */
+function getSoundboardSections(guildId) {
+  const entries = Object.entries(getGuildSounds(guildId));
+  if (!entries.some(([, sound]) => sound.category)) return [{ title: null, entries }];
+
+  const categories = getGuildCategories(guildId);
+  const known = new Set(categories.map((c) => c.toLowerCase()));
+  const sections = categories
+    .map((name) => ({ title: name, entries: entries.filter(([, sound]) => sound.category?.toLowerCase() === name.toLowerCase()) }))
+    .filter((section) => section.entries.length > 0);
+  const uncategorized = entries.filter(([, sound]) => !sound.category || !known.has(sound.category.toLowerCase()));
+  if (uncategorized.length > 0) sections.push({ title: t(guildId, 'board.uncategorized'), entries: uncategorized });
+  return sections;
+}
+
+/** Split a section's sounds into chunks that fit one message each (reaction cap and embed description length). */
+function chunkSectionEntries(entries, firstChunkReserved = 0, playCounts = null, headerLength = 0) {
+  const chunks = [];
+  let chunk = [];
+  let length = headerLength;
+  for (const [emoji, sound] of entries) {
+    const lineLength = formatSoundLine(emoji, sound, playCounts).length + 1;
+    const maxReactions = MAX_REACTIONS_PER_MESSAGE - (chunks.length === 0 ? firstChunkReserved : 0);
+    if (chunk.length >= maxReactions || (chunk.length > 0 && length + lineLength > EMBED_DESCRIPTION_LIMIT)) {
+      chunks.push(chunk);
+      chunk = [];
+      length = headerLength;
+    }
+    chunk.push([emoji, sound]);
+    length += lineLength;
+  }
+  chunks.push(chunk);
+  return chunks;
+}
+
+/**
+ * Messages ("pages") of a guild's soundboard as { title, entries, controls }. Each category starts a new page.
+ * The first page also carries the control reactions (BOARD_CONTROL_EMOJIS). Always at least one page.
+ */
+function getSoundboardPages(guildId) {
+  const sections = getSoundboardSections(guildId);
+  const playCounts = getBoardPlayCounts(guildId);
+  const language = getSetting('language', guildId);
+  const headerLength = boardDescriptionHeader(language).length;
+  const pages = [];
+  if (sections.length === 1 && sections[0].title === null) {
+    const chunks = chunkSectionEntries(sections[0].entries, BOARD_CONTROL_EMOJIS.length, playCounts, headerLength);
+    chunks.forEach((entries, i) => {
+      pages.push({
+        title: chunks.length > 1 ? `${getSetting('embedTitle', guildId)} (${i + 1}/${chunks.length})` : getSetting('embedTitle', guildId),
+        entries,
+      });
+    });
+  } else {
+    for (const section of sections) {
+      const chunks = chunkSectionEntries(section.entries, pages.length === 0 ? BOARD_CONTROL_EMOJIS.length : 0, playCounts, headerLength);
+      chunks.forEach((entries, i) => {
+        pages.push({
+          title: chunks.length > 1 ? `🎵 ${section.title} (${i + 1}/${chunks.length})` : `🎵 ${section.title}`,
+          entries,
+        });
+      });
+    }
+  }
+  const color = parseInt(getSetting('embedColor', guildId).slice(1), 16);
+  pages.forEach((page, i) => {
+    page.controls = i === 0 ? BOARD_CONTROL_EMOJIS : [];
+    page.playCounts = playCounts;
+    page.color = color;
+    page.language = language;
+  });
+  return pages;
+}
+
+function boardDescriptionHeader(language) {
+  return `${translate(language, 'board.header')}\n\n`;
+}
+
+function buildEmbedDescription(entries, playCounts = null, language = DEFAULT_LANGUAGE) {
+  const soundList = entries
+    .map(([emoji, sound]) => formatSoundLine(emoji, sound, playCounts))
+    .join('\n');
+
+  return `${boardDescriptionHeader(language)}${soundList || translate(language, 'board.empty')}`;
+}
+
+function buildEmbed(page) {
+  const language = page.language ?? DEFAULT_LANGUAGE;
+  const footer = page.controls?.includes(STOP_EMOJI)
+    ? translate(language, 'board.footer.stop', { emoji: STOP_EMOJI })
+    : translate(language, 'board.footer');
+  return new EmbedBuilder()
+    .setTitle(page.title)
+    .setDescription(buildEmbedDescription(page.entries, page.playCounts, language))
+    .setColor(page.color ?? 0x00FF41)
+    .setFooter({ text: footer });
+}
+
+/** Send one soundboard page and add its reactions. */
+async function postSoundboardPage(channelId, guildId, page) {
+  const message = await client.channels.send(channelId, {
+    embeds: [buildEmbed(page).toJSON()]
+  });
+
+  for (const [emoji, sound] of [...page.entries, ...page.controls.map((emoji) => [emoji, {}])]) {
+    try {
+      await reactAsBot(message, emoji, guildId, { animated: sound.animated });
+    } catch (err) {
+      logError(`Failed to react with ${emoji} in channel ${channelId}:`, err.message);
+    }
+  }
+
+  return message;
+}
+
+/** Post the whole soundboard (one message per page) and remember the message IDs. */
+async function postSoundboard(channelId, guildId) {
+  const channel = client.channels.get(channelId);
+  const resolvedGuildId = guildId ?? channel?.guildId;
+
+  const pages = getSoundboardPages(resolvedGuildId);
+  const messages = [];
+  for (let i = 0; i < pages.length; i++) {
+    messages.push(await postSoundboardPage(channelId, resolvedGuildId, pages[i]));
+  }
+  // Saved once every page is up, so the config is written once and never holds half a board
+  setSoundboardMessages(resolvedGuildId, channelId, messages.map((m) => m.id));
+
+  return messages;
+}
+
+async function deleteBotMessages(channelId) {
+  try {
+    const messages = await client.rest.get(`/channels/${channelId}/messages`, {
+      query: { limit: 100 }
+    });
+
+    const botMessages = messages.filter(msg => msg.author.id === client.user.id);
+
+    for (const msg of botMessages) {
+      try {
+        await client.rest.delete(`/channels/${channelId}/messages/${msg.id}`);
+      } catch (e) {
+        // Ignore
+      }
+    }
+
+    return botMessages.length;
+  } catch (error) {
+    return 0;
+  }
+}
+
+/** Delete the currently posted soundboard messages of a guild (e.g. before moving the board to another channel). */
+async function removePostedSoundboard(guildId) {
+  const channelId = soundboardChannelIds.get(guildId);
+  const messageIds = [...(soundboardMessageIds.get(guildId) ?? [])];
+  clearSoundboardMessages(guildId);
+  if (!channelId) return;
+  for (const messageId of messageIds) {
+    try {
+      await client.rest.delete(`/channels/${channelId}/messages/${messageId}`);
+    } catch (e) {
+      logWarn('Could not delete old soundboard message:', e?.message ?? e);
+    }
+  }
+}
+
+/** Fetch a message; null if it no longer exists. Other errors (network, rate limit) are thrown so callers don't repost by mistake. */
+async function fetchChannelMessage(channelId, messageId) {
+  try {
+    return await client.rest.get(`/channels/${channelId}/messages/${messageId}`);
+  } catch (err) {
+    const status = err?.status ?? err?.statusCode;
+    if (status === 404 || /unknown message|not found/i.test(err?.message ?? '')) return null;
+    throw err;
+  }
+}
+
+/** Storage key (unicode or name:id) of a reaction emoji from the API. */
+function reactionEmojiKey(emoji) {
+  if (!emoji) return null;
+  return emoji.id ? `${emoji.name}:${emoji.id}` : emoji.name;
+}
+
+/** Compare reaction keys without variation selectors (the API may return ⏹ for ⏹️). */
+function normalizeReactionKey(key) {
+  return String(key ?? '').replace(/\uFE0F/g, '');
+}
+
+/** Make the bot's reactions on a soundboard page match its sounds and controls: add missing ones, remove stale ones. */
+async function syncSoundboardReactions(channelId, message, guildId, page) {
+  const wanted = new Map();
+  for (const [emoji, sound] of page.entries) wanted.set(normalizeReactionKey(emoji), { emoji, animated: sound.animated });
+  for (const emoji of page.controls) wanted.set(normalizeReactionKey(emoji), { emoji });
+  const current = new Map(
+    (message.reactions ?? [])
+      .filter((r) => r.me)
+      .map((r) => reactionEmojiKey(r.emoji))
+      .filter(Boolean)
+      .map((key) => [normalizeReactionKey(key), key])
+  );
+  let added = 0;
+  let removed = 0;
+  for (const [key, { emoji, animated }] of wanted) {
+    if (current.has(key)) continue;
+    try {
+      await addBotReactionToMessage(channelId, message.id, emoji, guildId, { animated });
+      added++;
+    } catch (err) {
+      logError(`Failed to react with ${emoji} in channel ${channelId}:`, err.message);
+    }
+  }
+  for (const [key, emoji] of current) {
+    if (wanted.has(key)) continue;
+    try {
+      await client.rest.delete(buildReactionRoute(channelId, message.id, emoji));
+      removed++;
+    } catch (err) {
+      logWarn(`Failed to remove reaction ${emoji} in channel ${channelId}:`, err?.message ?? err);
+    }
+  }
+  if (added || removed) log(`Soundboard reactions synced: +${added} -${removed}`);
+}
+
+/** guildId -> promise of the guild's latest board update; updates of one guild run one after another */
+const soundboardUpdates = new Map();
+
+/**
+ * Bring a guild's soundboard in channelId up to date: edit the stored page messages with the new embeds and apply only the
+ * reaction diff; extra pages are posted or deleted as the sound count changes.
+ * Reposts (clearing old bot messages) only when there is no stored board in that channel or one of its messages was deleted.
+ * Waits for a running update of the same guild, so two refreshes never edit or repost the same board at once.
+ */
+function updateSoundboard(channelId, guildId) {
+  return queueSoundboardUpdate(guildId, () => applySoundboardUpdate(channelId, guildId));
+}
+
+/** Run task after every board update of the guild that was queued before it; resolves with the task's result. */
+function queueSoundboardUpdate(guildId, task) {
+  const previous = soundboardUpdates.get(guildId) ?? Promise.resolve();
+  const update = previous.catch(() => {}).then(task);
+  soundboardUpdates.set(guildId, update);
+  update.catch(() => {}).then(() => {
+    if (soundboardUpdates.get(guildId) === update) soundboardUpdates.delete(guildId);
+  });
+  return update;
+}
+
+async function applySoundboardUpdate(channelId, guildId) {
+  const storedChannelId = soundboardChannelIds.get(guildId);
+  const storedMessageIds = [...(soundboardMessageIds.get(guildId) ?? [])];
+
+  if (storedMessageIds.length > 0 && storedChannelId === channelId) {
+    const existing = [];
+    for (const messageId of storedMessageIds) {
+      const msg = await fetchChannelMessage(channelId, messageId);
+      if (!msg) break;
+      existing.push(msg);
+    }
+    if (existing.length === storedMessageIds.length) {
+      const pages = getSoundboardPages(guildId);
+      const messageIds = [];
+      for (let i = 0; i < pages.length; i++) {
+        if (i < existing.length) {
+          await client.rest.patch(`/channels/${channelId}/messages/${existing[i].id}`, {
+            body: { embeds: [buildEmbed(pages[i]).toJSON()] }
+          });
+          await syncSoundboardReactions(channelId, existing[i], guildId, pages[i]);
+          messageIds.push(existing[i].id);
+        } else {
+          const msg = await postSoundboardPage(channelId, guildId, pages[i]);
+          messageIds.push(msg.id);
+        }
+      }
+      for (const extra of existing.slice(pages.length)) {
+        try {
+          await client.rest.delete(`/channels/${channelId}/messages/${extra.id}`);
+        } catch (e) {
+          logWarn('Could not delete extra soundboard page:', e?.message ?? e);
+        }
+      }
+      setSoundboardMessages(guildId, channelId, messageIds);
+      return existing;
+    }
+    log('A stored soundboard message no longer exists, reposting');
+    await removePostedSoundboard(guildId);
+  } else if (storedMessageIds.length > 0) {
+    // Board moved to another channel
+    await removePostedSoundboard(guildId);
+  }
+
+  const deleted = await deleteBotMessages(channelId);
+  if (deleted > 0) {
+    log(`Deleted ${deleted} old bot message(s)`);
+  }
+  return postSoundboard(channelId, guildId);
+}
+
+/** Guess the soundboard channel by name (channelNames setting, tried in order), else the first text channel. */
+function guessSoundboardChannel(textChannels, guildId) {
+  for (const name of getSetting('channelNames', guildId)) {
+    const match = textChannels.find(c => (c.name || '').toLowerCase() === name);
+    if (match) return match;
+  }
+  return textChannels[0] || null;
+}
+
+/** Configured channel wins; a configured channel that no longer exists is not replaced by a guess (avoids posting in #general). */
+function findSoundboardChannel(guildId, guildChannels) {
+  if (isSoundboardDisabled(guildId)) return null;
+  const list = Array.isArray(guildChannels) ? guildChannels : Array.from(guildChannels?.values?.() ?? []);
+  const textChannels = list.filter(c => (c.guildId === guildId || c.guild_id === guildId) && (c.type === 0 || c.type === 'GUILD_TEXT' || c.type == null));
+
+  const { channelId } = getGuildSettings(guildId);
+  if (channelId) {
+    const configured = textChannels.find(c => c.id === channelId) || client.channels.get(channelId) || null;
+    if (!configured) logWarn(`Configured soundboard channel ${channelId} not found in guild ${guildId}`);
+    return configured;
+  }
+  return guessSoundboardChannel(textChannels, guildId);
+}
+
+/** Pick a text channel from raw API channel list (array of { id, name, type }). */
+function pickTextChannelFromApiList(channels, guildId) {
+  if (isSoundboardDisabled(guildId)) return null;
+  const list = Array.isArray(channels) ? channels : Object.values(channels ?? {});
+  const text = list.filter(c => c.type === 0 || c.type === 'GUILD_TEXT');
+
+  const { channelId } = getGuildSettings(guildId);
+  if (channelId) {
+    const configured = text.find(c => c.id === channelId) || null;
+    if (!configured) logWarn(`Configured soundboard channel ${channelId} not found in guild ${guildId}`);
+    return configured;
+  }
+  return guessSoundboardChannel(text, guildId);
+}
+
+/** When gateway has 0 guilds in cache, fetch guilds from API and post soundboard in each. */
+async function setupSoundboardsFromApi() {
+  try {
+    const data = await client.rest.get(Routes.currentUserGuilds());
+    const guilds = Array.isArray(data) ? data : (data?.guilds ?? Object.values(data ?? {}));
+    if (!guilds.length) {
+      log('No guilds returned from /users/@me/guilds');
+      return;
+    }
+    log(`Fetched ${guilds.length} guild(s) from API`);
+    for (const g of guilds) {
+      const guildId = g.id ?? g.guild_id;
+      const guildName = g.name ?? guildId;
+      if (!guildId) continue;
+      if (isSoundboardDisabled(guildId)) {
+        log(`Soundboard disabled for ${guildName} (${guildId}), skipping`);
+        continue;
+      }
+      try {
+        const channelsData = await client.rest.get(Routes.guildChannels(guildId));
+        const ch = pickTextChannelFromApiList(channelsData, guildId);
+        if (!ch) {
+          logWarn(`No text channel found for guild ${guildName} (${guildId})`);
+          continue;
+        }
+        const channelId = ch.id;
+        log(`Using channel #${ch.name || channelId} (${channelId}) for ${guildName}`);
+        await updateSoundboard(channelId, guildId);
+        log('Soundboard up to date!');
+      } catch (e) {
+        logError(`Failed to setup soundboard for ${guildName}:`, e?.message ?? e);
+      }
+    }
+  } catch (e) {
+    logError('Failed to fetch guilds from API:', e?.message ?? e);
+  }
+}
+
+async function setupSoundboard(guildId, guildName) {
+  log(`\nSetting up soundboard for: ${guildName} (${guildId})`);
+
+  if (isSoundboardDisabled(guildId)) {
+    log('Soundboard disabled for this guild, skipping');
+    return;
+  }
+
+  const guild = client.guilds.get(guildId);
+  let channels = guild?.channels ?? client.channels;
+  let channelCount = Array.isArray(channels) ? channels.length : (channels?.size ?? 0);
+
+  if (!channelCount || channelCount === 0) {
+    log(`No channels in cache, fetching from API...`);
+    try {
+      if (guild && typeof guild.fetchChannels === 'function') {
+        await guild.fetchChannels();
+        channels = guild.channels;
+        channelCount = channels?.size ?? 0;
+      }
+    } catch (e) {
+      logError(`Failed to fetch channels: ${e?.message}`);
+    }
+  }
+
+  const soundboardChannel = findSoundboardChannel(guildId, channels);
+
+  if (!soundboardChannel) {
+    log(`No suitable text channel found in ${guildName} (${channelCount} channel(s) checked)`);
+    return;
+  }
+
+  const channelId = soundboardChannel.id;
+  log(`Using channel: #${soundboardChannel.name} (${channelId})`);
+
+  try {
+    await updateSoundboard(channelId, guildId);
+    log(`Soundboard up to date!`);
+  } catch (error) {
+    logError(`Failed to post soundboard: ${error?.message}`);
+  }
+}
+
+/** Actual users (excluding bot) in channel from gateway voice state. Source of truth for leave decision. */
+function getActualUserCountInChannel(guildId, channelId) {
+  const guildVoiceStates = voiceManager.voiceStates?.get(guildId);
+  if (!guildVoiceStates) return 0;
+  let count = 0;
+  for (const [userId, chId] of guildVoiceStates) {
+    if (userId === client.user.id) continue;
+    if (chId === channelId) count++;
+  }
+  return count;
+}
+
+async function checkAndLeaveIfEmpty(guildId, botChannelId) {
+  const actualCount = getActualUserCountInChannel(guildId, botChannelId);
+
+  log(`checkAndLeaveIfEmpty: ${actualCount} user(s) in channel`);
+
+  if (actualCount === 0) {
+    log('No users left, leaving voice channel...');
+    await leaveVoiceChannel(guildId);
+  } else {
+    log(`Staying: ${actualCount} user(s) still in channel`);
+  }
+}
+
+/** Update the soundboard of a single guild in place (after its sound library or channel changed). */
+async function reloadGuildSoundboard(guildId) {
+  if (isSoundboardDisabled(guildId)) return;
+  const guild = client.guilds.get(guildId);
+  const guildName = guild?.name ?? guildId;
+  let channelId = guild ? findSoundboardChannel(guildId, guild.channels ?? client.channels)?.id : null;
+  if (!channelId) {
+    try {
+      const channelsData = await client.rest.get(Routes.guildChannels(guildId));
+      channelId = pickTextChannelFromApiList(channelsData, guildId)?.id;
+    } catch (e) {
+      logError(`Failed to fetch channels for ${guildName}:`, e?.message ?? e);
+    }
+  }
+  if (!channelId) return;
+
+  try {
+    await updateSoundboard(channelId, guildId);
+    log(`Reloaded soundboard in ${guildName}`);
+  } catch (error) {
+    logError(`Failed to reload soundboard in ${guildName}:`, error?.message ?? error);
+  }
+}
+
+/** Guild IDs the bot is in: gateway cache, or the API when the cache is empty. */
+async function getBotGuildIds() {
+  if ((client.guilds?.size ?? 0) > 0) return Array.from(client.guilds.keys());
+  try {
+    const data = await client.rest.get(Routes.currentUserGuilds());
+    const guilds = Array.isArray(data) ? data : (data?.guilds ?? Object.values(data ?? {}));
+    return guilds.map((g) => g.id ?? g.guild_id).filter(Boolean);
+  } catch (e) {
+    logError('Failed to fetch guilds from API:', e?.message ?? e);
+    return [];
+  }
+}
+
+// Reload all soundboards in all guilds (uses API when gateway cache has 0 guilds)
+async function reloadAllSoundboards() {
+  for (const guildId of await getBotGuildIds()) {
+    await reloadGuildSoundboard(guildId);
+  }
+}
+
+// ============================================================
+// EXPORT / IMPORT - A guild's soundboard as a .tar.gz archive (soundboard.json manifest + sounds/)
+// ============================================================
+const ARCHIVE_VERSION = 1;
+const ARCHIVE_MANIFEST = 'soundboard.json';
+// Larger exports are written to EXPORTS_DIR instead of being attached
+const EXPORT_ATTACHMENT_MAX_BYTES = 10 * 1024 * 1024;
+const IMPORT_ARCHIVE_MAX_BYTES = 100 * 1024 * 1024;
+// Audio barely compresses, so a real export unpacks to about its own size; anything far bigger is refused before extracting
+const IMPORT_UNPACKED_MAX_BYTES = 2 * IMPORT_ARCHIVE_MAX_BYTES;
+const ALLOWED_ARCHIVE_EXT = /\.(tar\.gz|tgz)$/i;
+
+function makeTempDir(prefix) {
+  const dir = join(EXPORTS_DIR, `${prefix}_${Date.now()}`);
+  mkdirSync(dir, { recursive: true });
+  return dir;
+}
+
+/** Codec of the first audio stream ('opus', 'mp3', ...) or null if ffprobe can't read the file. */
+async function getAudioCodec(filePath) {
+  try {
+    const { stdout } = await execAsync(`ffprobe -v error -select_streams a:0 -show_entries stream=codec_name -of csv=p=0 "${filePath}"`);
+    return stdout.trim() || null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/** Pack a guild's sounds, categories and metadata into a .tar.gz. Returns { path, count } (caller deletes or keeps the file). */
+async function exportGuildSoundboard(guildId) {
+  const workDir = makeTempDir('export');
+  try {
+    mkdirSync(join(workDir, 'sounds'));
+    const sounds = [];
+    for (const [emoji, sound] of Object.entries(getGuildSounds(guildId))) {
+      if (!sound.path || !existsSync(sound.path)) continue;
+      copyFileSync(sound.path, join(workDir, 'sounds', sound.file));
+      sounds.push({
+        emoji,
+        name: sound.name,
+        file: sound.file,
+        ...(sound.animated && { animated: true }),
+        ...(sound.category && { category: sound.category }),
+        duration: getSoundDuration(guildId, emoji) ?? null,
+      });
+    }
+    const manifest = {
+      version: ARCHIVE_VERSION,
+      guildId,
+      guildName: client.guilds.get(guildId)?.name ?? null,
+      exportedAt: new Date().toISOString(),
+      categories: getGuildCategories(guildId),
+      sounds,
+    };
+    writeFileSync(join(workDir, ARCHIVE_MANIFEST), JSON.stringify(manifest, null, 2));
+
+    const archivePath = join(EXPORTS_DIR, `soundboard-${guildId}-${manifest.exportedAt.slice(0, 10)}-${Date.now()}.tar.gz`);
+    await execAsync(`tar -czf "${archivePath}" -C "${workDir}" ${ARCHIVE_MANIFEST} sounds`);
+    return { path: archivePath, count: sounds.length };
+  } finally {
+    rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Unpack an archive into a new temp dir after checking that every entry stays inside it and that the entries add up to
+ * at most IMPORT_UNPACKED_MAX_BYTES (otherwise throws with code 'ARCHIVE_TOO_LARGE'). Returns the dir.
+ */
+async function extractSoundboardArchive(archivePath) {
+  const { stdout } = await execAsync(`tar -tzf "${archivePath}"`, { maxBuffer: 10 * 1024 * 1024 });
+  const entries = stdout.split('\n').filter(Boolean);
+  if (entries.some((entry) => entry.startsWith('/') || entry.split('/').includes('..'))) {
+    throw new Error('Archive contains unsafe paths.');
+  }
+  // Verbose listing: "-rw-r--r-- user/group 12345 2024-01-01 12:00 path"; the size is the third column
+  const { stdout: listing } = await execAsync(`tar -tvzf "${archivePath}"`, { maxBuffer: 10 * 1024 * 1024 });
+  const unpackedBytes = listing.split('\n').filter(Boolean).reduce((sum, line) => sum + (Number(line.trim().split(/\s+/)[2]) || 0), 0);
+  if (unpackedBytes > IMPORT_UNPACKED_MAX_BYTES) {
+    throw Object.assign(new Error(`Archive unpacks to ${unpackedBytes} bytes.`), { code: 'ARCHIVE_TOO_LARGE' });
+  }
+  const workDir = makeTempDir('import');
+  try {
+    await execAsync(`tar -xzf "${archivePath}" -C "${workDir}" --no-same-owner --no-same-permissions`);
+  } catch (error) {
+    rmSync(workDir, { recursive: true, force: true });
+    throw error;
+  }
+  return workDir;
+}
+
+/**
+ * Import an exported archive into a guild. Emoji conflicts are skipped, or replace the existing sound with `overwrite`;
+ * file names are made unique. Every sound gets the add command's size, format and duration checks.
+ * Returns { imported: [names], skipped: [reasons] }.
+ */
+async function importGuildSoundboard(guildId, archivePath, { overwrite = false } = {}) {
+  const workDir = await extractSoundboardArchive(archivePath);
+  const imported = [];
+  const skipped = [];
+  try {
+    const manifestPath = join(workDir, ARCHIVE_MANIFEST);
+    if (!existsSync(manifestPath)) throw new Error(`Archive has no ${ARCHIVE_MANIFEST}.`);
+    const manifest = JSON.parse(readFileSync(manifestPath, 'utf8'));
+    if (manifest?.version !== ARCHIVE_VERSION || !Array.isArray(manifest.sounds)) {
+      throw new Error('Not a soundboard export (unknown manifest version).');
+    }
+
+    const guildSounds = getGuildSounds(guildId);
+    const existingCategories = new Set(getGuildCategories(guildId));
+    const soundsDir = getGuildSoundsDir(guildId);
+    if (!existsSync(soundsDir)) mkdirSync(soundsDir, { recursive: true });
+    const limits = getUploadLimits(guildId);
+
+    for (const entry of manifest.sounds) {
+      const label = `"${entry?.name ?? '?'}" (${displayEmojiForEmbed(entry?.emoji, entry?.animated)})`;
+      const skip = (key, params) => skipped.push(`${label}: ${t(guildId, `import.skip.${key}`, params)}`);
+      if (typeof entry?.name !== 'string' || !entry.name.trim() || typeof entry.emoji !== 'string' || typeof entry.file !== 'string') {
+        skip('invalidEntry');
+        continue;
+      }
+      const sourcePath = join(workDir, 'sounds', basename(entry.file));
+      if (!existsSync(sourcePath) || !lstatSync(sourcePath).isFile()) {
+        skip('missingFile');
+        continue;
+      }
+      if (statSync(sourcePath).size > limits.maxBytes) {
+        skip('tooLarge', { max: limits.maxMb });
+        continue;
+      }
+      const emojiKey = normalizeEmojiKeyForStorage(entry.emoji);
+      if (isStopEmoji(emojiKey)) {
+        skip('reservedEmoji', { emoji: STOP_EMOJI });
+        continue;
+      }
+      if (/^\w+:\d+$/.test(emojiKey) && !(await isCustomEmojiFromGuild(guildId, emojiKey))) {
+        skip('foreignEmoji');
+        continue;
+      }
+      if (guildSounds[emojiKey] && !overwrite) {
+        skip('emojiInUse', { name: guildSounds[emojiKey].name });
+        continue;
+      }
+
+      const filename = uniqueSoundFilename(guildId, sanitizeFilename(entry.name));
+      const webmFile = join(soundsDir, filename);
+      // Exported sounds are already processed; anything else (e.g. a hand-made archive with MP3s) goes through the add pipeline
+      if ((await getAudioCodec(sourcePath)) === 'opus') {
+        copyFileSync(sourcePath, webmFile);
+      } else if (!(await processSoundFile(sourcePath, webmFile, guildId)).ok) {
+        if (existsSync(webmFile)) unlinkSync(webmFile);
+        skip('invalidAudio');
+        continue;
+      }
+      const duration = await getAudioDuration(webmFile);
+      if (!(duration > 0) || duration > limits.maxDurationSec) {
+        unlinkSync(webmFile);
+        skip('badDuration', { max: limits.maxDurationSec });
+        continue;
+      }
+
+      const previous = guildSounds[emojiKey];
+      if (previous?.path && existsSync(previous.path)) unlinkSync(previous.path);
+      if (previous) removeSoundPlayStats(guildId, emojiKey);
+      guildSounds[emojiKey] = { name: entry.name.trim(), file: filename, path: webmFile };
+      if (entry.animated) guildSounds[emojiKey].animated = true;
+      if (typeof entry.category === 'string' && !validateCategoryName(entry.category, guildId)) {
+        guildSounds[emojiKey].category = ensureCategory(guildId, entry.category);
+      }
+      guildSounds[emojiKey].buffer = await readFile(webmFile);
+      setSoundDuration(guildId, emojiKey, duration);
+      imported.push(guildSounds[emojiKey].name);
+    }
+
+    // Categories created by the import follow the exported order; existing ones keep their place
+    const exportedOrder = (Array.isArray(manifest.categories) ? manifest.categories : []).map((name) => String(name).toLowerCase());
+    const rank = (name) => (exportedOrder.includes(name.toLowerCase()) ? exportedOrder.indexOf(name.toLowerCase()) : Infinity);
+    const categories = getGuildCategories(guildId);
+    const added = categories.filter((name) => !existingCategories.has(name)).sort((a, b) => rank(a) - rank(b));
+    setGuildCategories(guildId, [...categories.filter((name) => existingCategories.has(name)), ...added]);
+    saveSoundsConfig();
+  } finally {
+    rmSync(workDir, { recursive: true, force: true });
+  }
+  return { imported, skipped };
+}
+
+// ============================================================
+// SOUND SEARCH - Find sounds by name for `!soundboard play <name>`
+// ============================================================
+// Disambiguation lists are kept per user so `!soundboard play <number>` can pick from them
+const PLAY_CHOICE_MAX = 5;
+const PLAY_CHOICE_TTL_MS = 60_000;
+/** "guildId:userId" -> { keys: [emoji, ...], expires } */
+const pendingPlayChoices = new Map();
+
+/**
+ * Lowercase, strip Latin accents and punctuation so "Bruh!!" matches "bruh". Letters and digits of every script are kept
+ * (with their combining marks, e.g. kana voicing or Devanagari vowel signs), so "Привет" or "ありがとう" can be searched.
+ */
+function normalizeSoundName(name) {
+  return String(name ?? '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/** Levenshtein distance between two strings. */
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+/**
+ * Find a guild's sounds by name. Returns [[emoji, sound], ...] from the best matching tier:
+ * exact name, then prefix of the name or one of its words, then substring, then close typos (one edit per 4 characters).
+ */
+function findSoundsByName(guildId, query) {
+  const q = normalizeSoundName(query);
+  if (!q) return [];
+  const maxTypos = Math.max(1, Math.floor(q.length / 4));
+  const entries = Object.entries(getGuildSounds(guildId)).map(([emoji, sound]) => [emoji, sound, normalizeSoundName(sound.name)]);
+  const tiers = [
+    (name) => name === q,
+    (name) => name.startsWith(q) || name.split(' ').some((word) => word.startsWith(q)),
+    (name) => name.includes(q),
+    (name) => editDistance(name, q) <= maxTypos || name.split(' ').some((word) => editDistance(word, q) <= maxTypos),
+  ];
+  for (const matches of tiers) {
+    const found = entries.filter(([, , name]) => matches(name));
+    if (found.length > 0) return found.map(([emoji, sound]) => [emoji, sound]);
+  }
+  return [];
+}
+
+// ============================================================
+// COOLDOWNS - Per-user and per-sound cooldowns and a sliding-window rate limit for reaction plays
+// (members who can manage the soundboard are exempt)
+// ============================================================
+// Defaults; admins can change them per guild with `!soundboard config cooldown <setting> <value>`
+const COOLDOWN_USER_SEC = 2;
+const COOLDOWN_SOUND_SEC = 0;
+const RATE_LIMIT_COUNT = 6;
+const RATE_LIMIT_WINDOW_SEC = 60;
+// How long the "please wait" notice stays in the board channel
+const COOLDOWN_NOTICE_TTL_MS = 5_000;
+/** guildId -> { users: Map userId -> play timestamps (ms, oldest first), sounds: Map soundKey -> last play timestamp, notices: Map userId -> last notice timestamp } */
+const recentPlays = new Map();
+
+function getCooldownSettings(guildId) {
+  const { cooldownUserSec, cooldownSoundSec, rateLimitCount, rateLimitWindowSec } = getGuildSettings(guildId);
+  return {
+    userSec: cooldownUserSec ?? COOLDOWN_USER_SEC,
+    soundSec: cooldownSoundSec ?? COOLDOWN_SOUND_SEC,
+    rateCount: rateLimitCount ?? RATE_LIMIT_COUNT,
+    rateWindowSec: rateLimitWindowSec ?? RATE_LIMIT_WINDOW_SEC,
+  };
+}
+
+function getRecentPlays(guildId) {
+  if (!recentPlays.has(guildId)) recentPlays.set(guildId, { users: new Map(), sounds: new Map(), notices: new Map() });
+  return recentPlays.get(guildId);
+}
+
+/**
+ * Check whether a user may play a sound now. Returns null if allowed, otherwise { waitMs, key, params, reason }
+ * for the longest applicable wait (user cooldown, sound cooldown or rate limit). rateCount 0 disables the rate limit.
+ * `key`/`params` name the catalogue message for users; `reason` is its English text for logs and stats.
+ */
+function checkCooldown(guildId, userId, soundKey, now = Date.now()) {
+  const { userSec, soundSec, rateCount, rateWindowSec } = getCooldownSettings(guildId);
+  const { users, sounds } = getRecentPlays(guildId);
+  // Keep plays as long as either check needs them; only the rate limit counts plays inside its window
+  const keepMs = Math.max(userSec, rateWindowSec) * 1000;
+  const plays = (users.get(userId) ?? []).filter((t) => now - t < keepMs);
+  users.set(userId, plays);
+  const windowPlays = plays.filter((t) => now - t < rateWindowSec * 1000);
+
+  const waits = [];
+  const wait = (waitMs, key, params = {}) => waits.push({ waitMs, key, params, reason: translate(DEFAULT_LANGUAGE, key, params) });
+  if (plays.length > 0 && userSec > 0) {
+    wait(plays[plays.length - 1] + userSec * 1000 - now, 'cooldown.user');
+  }
+  if (sounds.has(soundKey) && soundSec > 0) {
+    wait(sounds.get(soundKey) + soundSec * 1000 - now, 'cooldown.sound');
+  }
+  if (rateCount > 0 && windowPlays.length >= rateCount) {
+    wait(windowPlays[windowPlays.length - rateCount] + rateWindowSec * 1000 - now, 'cooldown.rateLimit', { count: rateCount, seconds: rateWindowSec });
+  }
+  const longest = waits.filter((w) => w.waitMs > 0).sort((a, b) => b.waitMs - a.waitMs)[0];
+  return longest ?? null;
+}
+
+function recordPlay(guildId, userId, soundKey, now = Date.now()) {
+  const { users, sounds } = getRecentPlays(guildId);
+  if (!users.has(userId)) users.set(userId, []);
+  users.get(userId).push(now);
+  sounds.set(soundKey, now);
+}
+
+/** Carry a sound's cooldown over to its new emoji key (after `!soundboard emoji`). */
+function moveSoundCooldown(guildId, oldKey, newKey) {
+  const { sounds } = getRecentPlays(guildId);
+  if (!sounds.has(oldKey)) return;
+  sounds.set(newKey, sounds.get(oldKey));
+  sounds.delete(oldKey);
+}
+
+/** Tell a user in the board channel how long to wait; the notice deletes itself. At most one notice per user per wait. */
+async function sendCooldownNotice(guildId, channelId, userId, cooldown) {
+  const { notices } = getRecentPlays(guildId);
+  const now = Date.now();
+  if (now - (notices.get(userId) ?? 0) < Math.min(cooldown.waitMs, COOLDOWN_NOTICE_TTL_MS)) return;
+  notices.set(userId, now);
+  try {
+    const notice = await client.channels.send(channelId, {
+      content: t(guildId, 'cooldown.notice', { user: `<@${userId}>`, seconds: Math.ceil(cooldown.waitMs / 1000), reason: t(guildId, cooldown.key, cooldown.params) }),
+    });
+    setTimeout(() => {
+      client.rest.delete(`/channels/${channelId}/messages/${notice.id}`).catch(() => {});
+    }, COOLDOWN_NOTICE_TTL_MS);
+  } catch (error) {
+    logWarn('Could not send cooldown notice:', error?.message ?? error);
+  }
+}
+
+// ============================================================
+// ENTRANCE SOUNDS - Play a member's chosen sound when they join a voice channel
+// ============================================================
+// Defaults; admins change them with `!soundboard config entrance ...`
+const ENTRANCE_COOLDOWN_SEC = 300;
+// Wait a moment after the join so the member's client is connected (and the voice manager knows their channel)
+const ENTRANCE_DELAY_MS = 1_500;
+/** "guildId:userId" -> voice channel ID, to tell joins and channel moves from mute/deafen updates */
+const memberVoiceChannels = new Map();
+/** "guildId:userId" -> time the member's entrance sound last played */
+const entranceLastPlayed = new Map();
+
+function getEntranceSettings(guildId) {
+  const { entrancesEnabled, entranceCooldownSec, entranceAllowed } = getGuildSettings(guildId);
+  return {
+    enabled: entrancesEnabled === true,
+    cooldownSec: entranceCooldownSec ?? ENTRANCE_COOLDOWN_SEC,
+    // null = every board sound may be an entrance
+    allowed: Array.isArray(entranceAllowed) ? entranceAllowed : null,
+  };
+}
+
+/** A member's entrance as { soundKey, optedOut }, or null if they never picked one. */
+function getMemberEntrance(guildId, userId) {
+  const { entrances, entranceOptOut } = getGuildSettings(guildId);
+  const soundKey = entrances?.[userId];
+  if (!soundKey) return null;
+  return { soundKey, optedOut: Array.isArray(entranceOptOut) && entranceOptOut.includes(userId) };
+}
+
+function setMemberEntrance(guildId, userId, soundKey) {
+  const entrances = { ...getGuildSettings(guildId).entrances };
+  if (soundKey) entrances[userId] = soundKey;
+  else delete entrances[userId];
+  updateGuildSettings(guildId, { entrances: Object.keys(entrances).length > 0 ? entrances : undefined });
+}
+
+function setEntranceOptOut(guildId, userId, optedOut) {
+  const list = (getGuildSettings(guildId).entranceOptOut ?? []).filter((id) => id !== userId);
+  if (optedOut) list.push(userId);
+  updateGuildSettings(guildId, { entranceOptOut: list.length > 0 ? list : undefined });
+}
+
+/** Point entrances and the allowed list at a sound's new emoji key (after `!soundboard emoji`). */
+function moveEntranceSound(guildId, oldKey, newKey) {
+  const { entrances, entranceAllowed } = getGuildSettings(guildId);
+  const changes = {};
+  if (entrances && Object.values(entrances).includes(oldKey)) {
+    changes.entrances = Object.fromEntries(Object.entries(entrances).map(([userId, key]) => [userId, key === oldKey ? newKey : key]));
+  }
+  if (Array.isArray(entranceAllowed) && entranceAllowed.includes(oldKey)) {
+    changes.entranceAllowed = entranceAllowed.map((key) => (key === oldKey ? newKey : key));
+  }
+  if (Object.keys(changes).length > 0) updateGuildSettings(guildId, changes);
+}
+
+/** Drop a removed sound from members' entrances and from the allowed list. */
+function removeEntranceSound(guildId, soundKey) {
+  const { entrances, entranceAllowed } = getGuildSettings(guildId);
+  const changes = {};
+  if (entrances && Object.values(entrances).includes(soundKey)) {
+    const rest = Object.fromEntries(Object.entries(entrances).filter(([, key]) => key !== soundKey));
+    changes.entrances = Object.keys(rest).length > 0 ? rest : undefined;
+  }
+  if (Array.isArray(entranceAllowed) && entranceAllowed.includes(soundKey)) {
+    changes.entranceAllowed = entranceAllowed.filter((key) => key !== soundKey);
+  }
+  if (Object.keys(changes).length > 0) updateGuildSettings(guildId, changes);
+}
+
+/**
+ * Fill memberVoiceChannels from the voice states the gateway sent with the guilds. Without this, members already in voice
+ * at startup would count as joining on their first mute, deafen or stream update and hear their entrance.
+ */
+function seedMemberVoiceChannels() {
+  for (const [guildId, guildVoiceStates] of voiceManager.voiceStates ?? []) {
+    for (const [userId, channelId] of guildVoiceStates) {
+      if (userId !== client.user.id && channelId) memberVoiceChannels.set(`${guildId}:${userId}`, channelId);
+    }
+  }
+}
+
+/** Remember a member's voice channel; returns the channel they were in before (undefined if not seen yet). */
+function trackMemberVoiceChannel(guildId, userId, channelId) {
+  const key = `${guildId}:${userId}`;
+  const previous = memberVoiceChannels.get(key);
+  if (channelId) memberVoiceChannels.set(key, channelId);
+  else memberVoiceChannels.delete(key);
+  return previous;
+}
+
+/** Queue a member's entrance sound after they joined `channelId` (if enabled, allowed, not opted out and off cooldown). */
+function scheduleEntranceSound(guildId, userId, channelId, userName) {
+  const settings = getEntranceSettings(guildId);
+  if (!settings.enabled || isSoundboardDisabled(guildId)) return;
+  const entrance = getMemberEntrance(guildId, userId);
+  if (!entrance || entrance.optedOut) return;
+  const sound = getGuildSounds(guildId)[entrance.soundKey];
+  if (!sound || (settings.allowed && !settings.allowed.includes(entrance.soundKey))) return;
+
+  const cooldownKey = `${guildId}:${userId}`;
+  const onCooldown = () => Date.now() - (entranceLastPlayed.get(cooldownKey) ?? 0) < settings.cooldownSec * 1000;
+  if (onCooldown()) {
+    log(`Entrance for ${userName ?? userId} skipped - cooldown`);
+    return;
+  }
+
+  setTimeout(() => {
+    // They may have left again (or moved on) during the delay, or a quick rejoin already played it
+    if (memberVoiceChannels.get(cooldownKey) !== channelId || onCooldown()) return;
+    log(`Entrance for ${userName ?? userId}: ${sound.name}`);
+    const result = enqueuePlayback(guildId, { sound, soundKey: entrance.soundKey, userId, userName: userName ?? userId });
+    // A blocked entrance (e.g. full queue) doesn't use up the cooldown
+    if (result.ok) entranceLastPlayed.set(cooldownKey, Date.now());
+    else log(`Entrance blocked - ${result.reason}`);
+  }, ENTRANCE_DELAY_MS);
+}
+
+// ============================================================
+// SCHEDULES - Sounds played at a set time or on a cron schedule (server local time)
+// ============================================================
+// guildId -> array of { id, soundKey, channelId, cron?, at?, createdBy } (at = one-off time in ms)
+let SCHEDULES = {};
+let scheduleTimer = null;
+const MAX_SCHEDULES_PER_GUILD = 25;
+const CRON_FIELD_RANGES = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 },
+];
+
+function loadSchedules() {
+  SCHEDULES = {};
+  if (!existsSync(SCHEDULES_CONFIG_PATH)) return;
+  try {
+    const raw = JSON.parse(readFileSync(SCHEDULES_CONFIG_PATH, 'utf8'));
+    for (const [guildId, list] of Object.entries(raw ?? {})) {
+      if (!Array.isArray(list)) continue;
+      // One-off schedules whose time passed while the bot was offline are dropped
+      const valid = list.filter((entry) => (entry.cron ? parseCron(entry.cron) : entry.at > Date.now()));
+      if (valid.length > 0) SCHEDULES[guildId] = valid;
+    }
+    log(`Loaded ${Object.values(SCHEDULES).flat().length} schedule(s)`);
+  } catch (error) {
+    logError('Error loading schedules:', error.message);
+  }
+}
+
+function saveSchedules() {
+  try {
+    writeFileAtomic(SCHEDULES_CONFIG_PATH, JSON.stringify(SCHEDULES, null, 2));
+  } catch (error) {
+    logError('Error saving schedules:', error.message);
+  }
+}
+
+function getGuildSchedules(guildId) {
+  return SCHEDULES[guildId] ?? [];
+}
+
+function addSchedule(guildId, schedule) {
+  const list = getGuildSchedules(guildId);
+  const id = list.reduce((max, entry) => Math.max(max, entry.id), 0) + 1;
+  SCHEDULES[guildId] = [...list, { id, ...schedule }];
+  saveSchedules();
+  return SCHEDULES[guildId].at(-1);
+}
+
+function removeSchedule(guildId, id) {
+  const list = getGuildSchedules(guildId);
+  const removed = list.find((entry) => entry.id === id);
+  if (!removed) return null;
+  const rest = list.filter((entry) => entry !== removed);
+  if (rest.length > 0) SCHEDULES[guildId] = rest;
+  else delete SCHEDULES[guildId];
+  saveSchedules();
+  return removed;
+}
+
+/** Point a guild's schedules at a sound's new emoji key (after `!soundboard emoji`). */
+function moveScheduleSound(guildId, oldKey, newKey) {
+  const list = getGuildSchedules(guildId);
+  if (!list.some((entry) => entry.soundKey === oldKey)) return;
+  SCHEDULES[guildId] = list.map((entry) => (entry.soundKey === oldKey ? { ...entry, soundKey: newKey } : entry));
+  saveSchedules();
+}
+
+/** Delete a guild's schedules of a removed sound. */
+function removeScheduleSound(guildId, soundKey) {
+  const list = getGuildSchedules(guildId);
+  const rest = list.filter((entry) => entry.soundKey !== soundKey);
+  if (rest.length === list.length) return;
+  if (rest.length > 0) SCHEDULES[guildId] = rest;
+  else delete SCHEDULES[guildId];
+  saveSchedules();
+}
+
+/** Parse one cron field ("*", "5", "1-5", "*\/15", "0,30") into a Set of values, or null if invalid. */
+function parseCronField(field, { min, max }) {
+  const values = new Set();
+  for (const part of field.split(',')) {
+    const m = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!m) return null;
+    const from = m[1] === '*' ? min : parseInt(m[2], 10);
+    const to = m[1] === '*' ? max : m[3] != null ? parseInt(m[3], 10) : m[4] != null ? max : from;
+    const step = m[4] != null ? parseInt(m[4], 10) : 1;
+    if (from < min || to > max || from > to || step < 1) return null;
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+  return values;
+}
+
+/** Parse a 5-field cron expression (minute hour day-of-month month day-of-week), or null if invalid. */
+function parseCron(expression) {
+  const fields = String(expression ?? '').trim().split(/\s+/);
+  if (fields.length !== 5) return null;
+  const sets = fields.map((field, i) => parseCronField(field, CRON_FIELD_RANGES[i]));
+  if (sets.some((set) => set === null)) return null;
+  if (sets[4].has(7)) sets[4].add(0); // 7 = Sunday too
+  return { sets, anyDayOfMonth: fields[2] === '*', anyDayOfWeek: fields[4] === '*' };
+}
+
+/** True if the cron schedule fires in the minute of `date`. Like cron, a restricted day-of-month OR day-of-week matches. */
+function cronMatches(cron, date) {
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = cron.sets;
+  if (!minutes.has(date.getMinutes()) || !hours.has(date.getHours()) || !months.has(date.getMonth() + 1)) return false;
+  const dom = daysOfMonth.has(date.getDate());
+  const dow = daysOfWeek.has(date.getDay());
+  if (cron.anyDayOfMonth || cron.anyDayOfWeek) return dom && dow;
+  return dom || dow;
+}
+
+/** Parse "20:00" (next occurrence) or "2026-10-31 20:00" into a timestamp in the future, or null. */
+function parseScheduleTime(input) {
+  const full = input.match(/^(\d{4})-(\d{2})-(\d{2})[ T](\d{1,2}):(\d{2})$/);
+  const time = input.match(/^(\d{1,2}):(\d{2})$/);
+  let date;
+  if (full) {
+    date = new Date(Number(full[1]), Number(full[2]) - 1, Number(full[3]), Number(full[4]), Number(full[5]));
+  } else if (time && Number(time[1]) < 24 && Number(time[2]) < 60) {
+    date = new Date();
+    date.setHours(Number(time[1]), Number(time[2]), 0, 0);
+    if (date.getTime() <= Date.now()) date.setDate(date.getDate() + 1);
+  } else {
+    return null;
+  }
+  return Number.isFinite(date.getTime()) && date.getTime() > Date.now() ? date.getTime() : null;
+}
+
+function describeSchedule(guildId, entry) {
+  const sound = getGuildSounds(guildId)[entry.soundKey];
+  const soundLabel = sound ? formatSoundLine(entry.soundKey, sound) : `${displayEmojiForEmbed(entry.soundKey)} ${t(guildId, 'sound.removed')}`;
+  const when = entry.cron
+    ? t(guildId, 'schedule.cron', { cron: entry.cron })
+    : t(guildId, 'schedule.once', { time: new Date(entry.at).toLocaleString(getSetting('language', guildId)) });
+  return t(guildId, 'schedule.entry', { id: entry.id, sound: soundLabel, channel: `<#${entry.channelId}>`, when });
+}
+
+/** Play a due schedule through the normal queue, unless nobody is in its voice channel. */
+function runSchedule(guildId, entry) {
+  const sound = getGuildSounds(guildId)[entry.soundKey];
+  if (!sound) {
+    log(`Schedule #${entry.id} in ${guildId} skipped - sound was removed`);
+    return;
+  }
+  if (getActualUserCountInChannel(guildId, entry.channelId) === 0) {
+    log(`Schedule #${entry.id} skipped - nobody in the voice channel`);
+    return;
+  }
+  log(`Schedule #${entry.id}: ${sound.name}`);
+  const result = enqueuePlayback(guildId, {
+    sound,
+    soundKey: entry.soundKey,
+    userId: entry.createdBy,
+    userName: `schedule #${entry.id}`,
+    channelId: entry.channelId,
+  });
+  if (!result.ok) log(`Schedule #${entry.id} blocked - ${result.reason}`);
+}
+
+/** Check all schedules at the start of every minute. */
+function startScheduler() {
+  if (scheduleTimer) return;
+  const tick = () => {
+    const now = new Date();
+    now.setSeconds(0, 0);
+    for (const [guildId, list] of Object.entries(SCHEDULES)) {
+      for (const entry of list) {
+        if (entry.cron) {
+          const cron = parseCron(entry.cron);
+          if (cron && cronMatches(cron, now)) runSchedule(guildId, entry);
+        } else if (entry.at <= now.getTime()) {
+          runSchedule(guildId, entry);
+          removeSchedule(guildId, entry.id);
+        }
+      }
+    }
+    scheduleTimer = setTimeout(tick, 60_000 - (Date.now() % 60_000) + 50);
+  };
+  scheduleTimer = setTimeout(tick, 60_000 - (Date.now() % 60_000) + 50);
+}
+
+// ============================================================
+// PLAYBACK QUEUE - Play requests are queued per guild and played one after another
+// (or up to N at once, mixed into one track, when mixing is enabled for the guild)
+// ============================================================
+// Defaults; admins can change them per guild with `!soundboard config queue <max> <per user>`
+const QUEUE_MAX_LENGTH = 10;
+const QUEUE_MAX_PER_USER = 3;
+// Default number of sounds mixed at once; admins change it with `!soundboard config mixing on <voices>`
+const MIXING_MAX_VOICES = 4;
+/** guildId -> array of waiting requests { sound, soundKey, userId, userName, onDone, channelId? } (channelId: play there instead of the requester's channel) */
+const playbackQueues = new Map();
+/** guildId -> Set of requests currently playing (request.controller aborts one) */
+const nowPlaying = new Map();
+
+function getQueueLimits(guildId) {
+  const { queueMaxLength, queueMaxPerUser } = getGuildSettings(guildId);
+  return {
+    maxLength: queueMaxLength ?? QUEUE_MAX_LENGTH,
+    maxPerUser: queueMaxPerUser ?? QUEUE_MAX_PER_USER,
+  };
+}
+
+function getMixingSettings(guildId) {
+  const { mixingEnabled, mixingMaxVoices } = getGuildSettings(guildId);
+  return { enabled: mixingEnabled === true, maxVoices: mixingMaxVoices ?? MIXING_MAX_VOICES };
+}
+
+/** Requests currently playing in a guild, oldest first. */
+function getNowPlaying(guildId) {
+  return [...(nowPlaying.get(guildId) ?? [])];
+}
+
+/** Add a play request to the guild's queue and start it if a slot is free. Returns { ok, position } or { ok: false, code, limit, reason }. */
+function enqueuePlayback(guildId, request) {
+  if (!playbackQueues.has(guildId)) playbackQueues.set(guildId, []);
+  const queue = playbackQueues.get(guildId);
+  const { maxLength, maxPerUser } = getQueueLimits(guildId);
+  if (queue.length >= maxLength) {
+    return { ok: false, code: 'queue_full', limit: maxLength, reason: `queue full (${maxLength})` };
+  }
+  if (queue.filter((r) => r.userId === request.userId).length >= maxPerUser) {
+    return { ok: false, code: 'user_queue_limit', limit: maxPerUser, reason: `user ${request.userId} has ${maxPerUser} sound(s) queued` };
+  }
+  queue.push(request);
+  const position = queue.length;
+  pumpPlaybackQueue(guildId);
+  return { ok: true, position };
+}
+
+/**
+ * Shared play path for board reactions and `!soundboard play`: voice check, cooldowns (managers exempt), queueing and stats.
+ * Returns { ok: true, position } (0 = playing now, otherwise place in the queue) or { ok: false, code, reason, cooldown? }.
+ */
+async function requestPlay(guildId, { sound, soundKey, userId, userName, onDone }) {
+  const voiceChannelId = voiceManager.getVoiceChannelId(guildId, userId);
+  const recordBlocked = (code, reason) => {
+    incMetric('soundboard_blocked_plays_total', { guild: guildId, reason: code });
+    recordPlayStat({ guildId, soundKey, soundName: sound.name, userId, channelId: voiceChannelId, blocked: reason });
+  };
+
+  if (!voiceChannelId) {
+    log('User not in voice');
+    recordBlocked('not_in_voice', 'not in voice');
+    return { ok: false, code: 'not_in_voice', reason: 'not in voice' };
+  }
+
+  const member = await getGuildMember(guildId, userId);
+  if (!canManageSoundboard(member, guildId)) {
+    const cooldown = checkCooldown(guildId, userId, soundKey);
+    if (cooldown) {
+      log(`Blocked - cooldown for ${userId}: ${cooldown.reason}`);
+      recordBlocked('cooldown', `cooldown: ${cooldown.reason}`);
+      return { ok: false, code: 'cooldown', reason: cooldown.reason, cooldown };
+    }
+  }
+
+  const request = { sound, soundKey, userId, userName, onDone };
+  const result = enqueuePlayback(guildId, request);
+  if (!result.ok) {
+    log(`Blocked - ${result.reason}`);
+    recordBlocked(result.code, result.reason);
+    return result;
+  }
+  recordPlay(guildId, userId, soundKey);
+  return { ok: true, position: (playbackQueues.get(guildId) ?? []).indexOf(request) + 1 };
+}
+
+/** Drop all waiting requests of a guild (their onDone still runs so board reactions are reset). Returns how many were dropped. */
+async function clearPlaybackQueue(guildId) {
+  const queue = playbackQueues.get(guildId);
+  if (!queue?.length) return 0;
+  const dropped = queue.splice(0, queue.length);
+  for (const request of dropped) {
+    await Promise.resolve(request.onDone?.()).catch(() => {});
+  }
+  return dropped.length;
+}
+
+/**
+ * Start queued requests while there is a free slot: one at a time normally, up to maxVoices with mixing.
+ * Mixed sounds must share the bot's voice channel, so a request for another channel waits until everything playing has finished.
+ * Called on enqueue and whenever a request finishes; isPlaying is set while anything plays.
+ */
+function pumpPlaybackQueue(guildId) {
+  const queue = playbackQueues.get(guildId) ?? [];
+  const mixing = getMixingSettings(guildId);
+  const limit = mixing.enabled ? mixing.maxVoices : 1;
+  if (!nowPlaying.has(guildId)) nowPlaying.set(guildId, new Set());
+  const playing = nowPlaying.get(guildId);
+
+  while (queue.length > 0 && playing.size < limit) {
+    const request = queue[0];
+    request.voiceChannelId = request.channelId ?? voiceManager.getVoiceChannelId(guildId, request.userId);
+    if (playing.size > 0 && [...playing].some((p) => p.voiceChannelId !== request.voiceChannelId)) break;
+    queue.shift();
+    request.controller = new AbortController();
+    playing.add(request);
+    isPlaying.set(guildId, true);
+    playQueuedRequest(guildId, request, mixing.enabled)
+      .catch((error) => logError('Error:', error.message))
+      .finally(async () => {
+        playing.delete(request);
+        await Promise.resolve(request.onDone?.()).catch(() => {});
+        pumpPlaybackQueue(guildId);
+      });
+  }
+
+  if (playing.size === 0) {
+    nowPlaying.delete(guildId);
+    isPlaying.delete(guildId);
+  }
+  if (queue.length === 0) playbackQueues.delete(guildId);
+}
+
+/** Play one queued request in the requester's voice channel (skipped if they left voice while waiting). */
+async function playQueuedRequest(guildId, request, mixing) {
+  const { sound, soundKey, voiceChannelId } = request;
+  if (!voiceChannelId) {
+    log(`User left voice, skipping queued ${sound.name}`);
+    return;
+  }
+  const voiceChannel = client.channels.get(voiceChannelId);
+  if (!voiceChannel) return;
+
+  log(`Playing ${sound.name}${mixing ? ' (mixed)' : ''}`);
+  recordPlayStat({ guildId, soundKey, soundName: sound.name, userId: request.userId, channelId: voiceChannelId });
+  incMetric('soundboard_plays_total', { guild: guildId });
+  if (mixing) {
+    await playSoundMixed(guildId, voiceChannel, sound, soundKey, request.controller.signal);
+  } else {
+    await playSoundInChannel(guildId, voiceChannel, sound, soundKey, request.controller.signal);
+  }
+  log(request.controller.signal.aborted ? `${sound.name} stopped` : `${sound.name} finished`);
+}
+
+/** Join the voice channel and play a sound to the end or until `signal` is aborted (LiveKit PCM when possible, stream path as fallback). */
+async function playSoundInChannel(guildId, voiceChannel, sound, soundKey, signal) {
+  const connection = await voiceManager.join(voiceChannel);
+
+  await sleep(500, signal);
+  if (signal?.aborted) return;
+
+  // When Fluxer uses LiveKit and we have a preloaded buffer, use pre-decoded PCM for stutter-free playback
+  const useLiveKitPcm = connection.room?.isConnected && sound.buffer;
+  let played = false;
+  if (useLiveKitPcm) {
+    try {
+      if (typeof connection.stop === 'function') await Promise.resolve(connection.stop()).catch(() => {});
+      await playSoundboardSoundLiveKit(connection, sound, signal);
+      played = true;
+    } catch (err) {
+      logError('LiveKit PCM play error, falling back to stream:', err?.message ?? err);
+      delete sound.pcmBuffer;
+    }
+  }
+  if (!played && !signal?.aborted) {
+    log(`Using stream path for ${sound.name} (no LiveKit PCM or fallback)`);
+    const stream = sound.buffer
+      ? bufferToChunkedStream(sound.buffer)
+      : createReadStream(sound.path, { highWaterMark: 512 * 1024 });
+
+    const playResult = connection.play(stream);
+    (playResult && typeof playResult.catch === 'function' ? playResult : Promise.resolve()).catch(err => {
+      logError('Play error:', err.message);
+    });
+
+    const duration = getSoundDuration(guildId, soundKey) || 3;
+    const waitTime = (duration * 1000) + 250;
+    log(`Waiting ${waitTime}ms for ${sound.name} to finish...`);
+    await sleep(waitTime, signal);
+    if (signal?.aborted && typeof connection.stop === 'function') {
+      await Promise.resolve(connection.stop()).catch(() => {});
+    }
+  }
+}
+
+/**
+ * Stop sounds playing in a guild: all of them, or only those queued by `userId`.
+ * With clearQueue, waiting sounds are dropped too; otherwise the next one starts (skip).
+ * Returns the stopped requests (empty if nothing was playing).
+ */
+async function stopPlayback(guildId, { clearQueue = false, userId = null } = {}) {
+  if (clearQueue) await clearPlaybackQueue(guildId);
+  const stopped = getNowPlaying(guildId).filter((request) => !userId || request.userId === userId);
+  for (const request of stopped) {
+    request.controller.abort();
+    log(`Stopped ${request.sound.name}`);
+  }
+  return stopped;
+}
+
+/** Stop playback, drop the queue and the mixer, then leave the guild's voice channel. */
+async function leaveVoiceChannel(guildId) {
+  await stopPlayback(guildId, { clearQueue: true });
+  await closeMixer(guildId);
+  voiceManager.leave(guildId);
+  isPlaying.delete(guildId);
+}
+
+// ============================================================
+// MIXER - One persistent LiveKit track per voice connection; concurrent sounds are summed into it
+// ============================================================
+// Keep little audio queued in the AudioSource so a newly started sound is heard quickly
+const MIXER_QUEUE_TARGET_MS = 200;
+// Limiter recovery per frame after a loud passage (1 = unity gain, reached again within ~1s)
+const MIXER_GAIN_RELEASE = 0.05;
+/** guildId -> { room, mixer } where mixer is the promise of createMixer(), stored before it resolves so one guild builds one mixer */
+const mixers = new Map();
+
+/** Publish a track on the room and return a mixer that sums PCM voices into it with peak limiting. */
+async function createMixer(room, logPrefix) {
+  const source = new AudioSource(LK_SAMPLE_RATE, LK_CHANNELS);
+  const track = LocalAudioTrack.createAudioTrack('soundboard', source);
+  const options = new TrackPublishOptions();
+  options.source = TrackSource.SOURCE_MICROPHONE;
+  await room.localParticipant.publishTrack(track, options);
+  log(`${logPrefix} track published`);
+
+  const voices = new Set();
+  let pumping = false;
+  let closed = false;
+  let gain = 1;
+
+  const removeVoice = (voice) => {
+    if (voices.delete(voice)) voice.done();
+  };
+
+  /** Sum the next frame of every voice; scale down instead of clipping when the sum exceeds Int16. */
+  const mixFrame = () => {
+    const mixed = new Int32Array(LK_FRAME_SAMPLES);
+    for (const voice of voices) {
+      const end = Math.min(voice.offset + LK_FRAME_SAMPLES, voice.pcm.length);
+      for (let i = voice.offset, j = 0; i < end; i++, j++) mixed[j] += voice.pcm[i];
+      voice.offset = end;
+      if (voice.offset >= voice.pcm.length) removeVoice(voice);
+    }
+    let peak = 0;
+    for (let i = 0; i < mixed.length; i++) peak = Math.max(peak, Math.abs(mixed[i]));
+    const targetGain = peak > 32767 ? 32767 / peak : 1;
+    gain = targetGain < gain ? targetGain : Math.min(targetGain, gain + MIXER_GAIN_RELEASE);
+    const out = new Int16Array(LK_FRAME_SAMPLES);
+    for (let i = 0; i < mixed.length; i++) {
+      out[i] = Math.max(-32768, Math.min(32767, Math.round(mixed[i] * gain)));
+    }
+    return out;
+  };
+
+  const pump = async () => {
+    if (pumping) return;
+    pumping = true;
+    try {
+      while (voices.size > 0 && !closed) {
+        if ((source.queuedDuration ?? 0) > MIXER_QUEUE_TARGET_MS) {
+          await sleep(LK_FRAME_SAMPLES / (LK_SAMPLE_RATE / 1000));
+          continue;
+        }
+        const samples = mixFrame();
+        await source.captureFrame(new AudioFrame(samples, LK_SAMPLE_RATE, LK_CHANNELS, samples.length));
+        incMetric('soundboard_livekit_frames_sent_total');
+        setMetric('soundboard_livekit_queued_duration_ms', {}, source.queuedDuration ?? 0);
+      }
+    } catch (err) {
+      logError(`${logPrefix} captureFrame error:`, err?.message ?? err);
+      for (const voice of voices) removeVoice(voice);
+    } finally {
+      pumping = false;
+    }
+  };
+
+  return {
+    room,
+    /** Mix a PCM buffer into the track; resolves once it has been fed completely or `signal` is aborted. */
+    play(pcm, signal) {
+      return new Promise((resolve) => {
+        if (closed || signal?.aborted) return resolve();
+        const onAbort = () => {
+          removeVoice(voice);
+          // Nothing else is playing: drop what is still queued so the stop is immediate
+          if (voices.size === 0 && typeof source.clearQueue === 'function') source.clearQueue();
+        };
+        const voice = {
+          pcm,
+          offset: 0,
+          done: () => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+          },
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+        voices.add(voice);
+        pump();
+      });
+    },
+    async close() {
+      closed = true;
+      for (const voice of voices) removeVoice(voice);
+      await track.close().catch(() => {});
+      await source.close().catch(() => {});
+      log(`${logPrefix} closed`);
+    },
+  };
+}
+
+/**
+ * Promise of the mixer for the guild's current voice connection (recreated when the bot reconnected or moved to another room).
+ * Concurrent callers share the pending promise, so plays that start together publish a single track.
+ */
+function getMixer(guildId, connection) {
+  const existing = mixers.get(guildId);
+  if (existing?.room === connection.room) return existing.mixer;
+  const previous = existing ? closeMixer(guildId) : Promise.resolve();
+  const mixer = previous.then(() => createMixer(connection.room, `[mixer ${guildId}]`));
+  mixers.set(guildId, { room: connection.room, mixer });
+  // A failed publish is retried by the next play
+  mixer.catch(() => {
+    if (mixers.get(guildId)?.mixer === mixer) mixers.delete(guildId);
+  });
+  return mixer;
+}
+
+async function closeMixer(guildId) {
+  const entry = mixers.get(guildId);
+  if (!entry) return;
+  mixers.delete(guildId);
+  const mixer = await entry.mixer.catch(() => null);
+  await mixer?.close();
+}
+
+/**
+ * Play a sound through the guild's mixer so it can overlap other sounds. The track stays published between sounds,
+ * so back-to-back plays in the same channel skip the publish and join delays. Falls back to playSoundInChannel without LiveKit.
+ */
+async function playSoundMixed(guildId, voiceChannel, sound, soundKey, signal) {
+  const alreadyInChannel = voiceManager.getVoiceChannelId(guildId, client.user.id) === voiceChannel.id;
+  const connection = await voiceManager.join(voiceChannel);
+  if (!connection.room?.isConnected || !sound.buffer) {
+    await playSoundInChannel(guildId, voiceChannel, sound, soundKey, signal);
+    return;
+  }
+  if (!alreadyInChannel) await sleep(500, signal);
+  if (signal?.aborted) return;
+
+  const pcm = await getSoundPcm(sound, `[PCM mix ${sound.name}]`);
+  if (!connection.room?.isConnected) throw new Error('LiveKit: not connected');
+  const mixer = await getMixer(guildId, connection);
+  await mixer.play(pcm, signal);
+}
+
+// ============================================================
+// METRICS - Optional Prometheus endpoint and health check (set METRICS_PORT to enable)
+// ============================================================
+const METRICS_PORT = parseInt(process.env.METRICS_PORT ?? '', 10);
+// No token on this server: keep it on localhost unless the scraper needs it elsewhere
+const METRICS_HOST = process.env.METRICS_HOST || '127.0.0.1';
+/** name -> [type, help]; every metric we expose, in output order */
+const METRIC_DEFINITIONS = {
+  soundboard_plays_total: ['counter', 'Sounds played, by guild.'],
+  soundboard_blocked_plays_total: ['counter', 'Play requests refused, by guild and reason.'],
+  soundboard_pcm_decode_seconds_total: ['counter', 'Time spent decoding WebM/Opus sounds to PCM.'],
+  soundboard_pcm_decodes_total: ['counter', 'WebM/Opus to PCM decodes (first play of each sound).'],
+  soundboard_livekit_frames_sent_total: ['counter', 'Audio frames captured into LiveKit sources.'],
+  soundboard_livekit_queued_duration_ms: ['gauge', 'Audio queued in the LiveKit source after the last captured frame.'],
+  soundboard_reconnect_attempts_total: ['counter', 'Gateway login attempts made by the reconnect loop.'],
+  soundboard_gateway_ready: ['gauge', '1 when the gateway connection is ready.'],
+  soundboard_voice_connections: ['gauge', 'Guilds where the bot is in a voice channel.'],
+  soundboard_playing_guilds: ['gauge', 'Guilds currently playing a sound.'],
+  soundboard_queued_requests: ['gauge', 'Play requests waiting in queues.'],
+  soundboard_sounds: ['gauge', 'Sounds in all libraries.'],
+  soundboard_preloaded_buffer_bytes: ['gauge', 'Memory held by preloaded sound buffers, by kind (webm file or decoded pcm).'],
+  process_resident_memory_bytes: ['gauge', 'Resident memory size in bytes.'],
+  process_uptime_seconds: ['gauge', 'Seconds since the process started.'],
+};
+/** "name{labels}" -> { name, labels, value } for counters and gauges set while running */
+const metricValues = new Map();
+let metricsServer = null;
+
+function metricKey(name, labels) {
+  return `${name}${JSON.stringify(labels)}`;
+}
+
+function incMetric(name, labels = {}, amount = 1) {
+  const key = metricKey(name, labels);
+  const metric = metricValues.get(key) ?? { name, labels, value: 0 };
+  metric.value += amount;
+  metricValues.set(key, metric);
+}
+
+function setMetric(name, labels, value) {
+  metricValues.set(metricKey(name, labels), { name, labels, value });
+}
+
+// Unlabelled counters start at 0 so rate() and alerts see the series from startup
+for (const name of ['soundboard_pcm_decode_seconds_total', 'soundboard_pcm_decodes_total', 'soundboard_livekit_frames_sent_total', 'soundboard_reconnect_attempts_total']) {
+  setMetric(name, {}, 0);
+}
+
+/** Gauges read from the bot's state when scraped. */
+function collectGaugeMetrics() {
+  const ready = client.isReady?.() === true;
+  let voiceConnections = 0;
+  if (ready && client.user) {
+    for (const [guildId] of client.guilds) {
+      if (voiceManager.getVoiceChannelId(guildId, client.user.id)) voiceConnections++;
+    }
+  }
+  let queued = 0;
+  for (const queue of playbackQueues.values()) queued += queue.length;
+  let sounds = 0;
+  let webmBytes = 0;
+  let pcmBytes = 0;
+  // Shared sounds can point at the same buffers; count each buffer once
+  const seen = new Set();
+  for (const [, , sound] of allSounds()) {
+    sounds++;
+    if (sound.buffer && !seen.has(sound.buffer)) {
+      seen.add(sound.buffer);
+      webmBytes += sound.buffer.byteLength;
+    }
+    if (sound.pcmBuffer && !seen.has(sound.pcmBuffer)) {
+      seen.add(sound.pcmBuffer);
+      pcmBytes += sound.pcmBuffer.byteLength;
+    }
+  }
+  return [
+    { name: 'soundboard_gateway_ready', labels: {}, value: ready ? 1 : 0 },
+    { name: 'soundboard_voice_connections', labels: {}, value: voiceConnections },
+    { name: 'soundboard_playing_guilds', labels: {}, value: isPlaying.size },
+    { name: 'soundboard_queued_requests', labels: {}, value: queued },
+    { name: 'soundboard_sounds', labels: {}, value: sounds },
+    { name: 'soundboard_preloaded_buffer_bytes', labels: { kind: 'webm' }, value: webmBytes },
+    { name: 'soundboard_preloaded_buffer_bytes', labels: { kind: 'pcm' }, value: pcmBytes },
+    { name: 'process_resident_memory_bytes', labels: {}, value: process.memoryUsage().rss },
+    { name: 'process_uptime_seconds', labels: {}, value: Math.round(process.uptime()) },
+  ];
+}
+
+function formatMetricLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  const escape = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+  return `{${entries.map(([key, value]) => `${key}="${escape(value)}"`).join(',')}}`;
+}
+
+/** All metrics in the Prometheus text exposition format. */
+function renderMetrics() {
+  const all = [...metricValues.values(), ...collectGaugeMetrics()];
+  const lines = [];
+  for (const [name, [type, help]] of Object.entries(METRIC_DEFINITIONS)) {
+    const samples = all.filter((metric) => metric.name === name);
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    for (const { labels, value } of samples) lines.push(`${name}${formatMetricLabels(labels)} ${value}`);
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+function handleMetricsRequest(req, res) {
+  const url = new URL(req.url, 'http://localhost');
+  if (req.method !== 'GET') {
+    res.writeHead(405, { 'Content-Type': 'text/plain; charset=utf-8' });
+    return res.end('Method not allowed\n');
+  }
+  if (url.pathname === '/metrics') {
+    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+    return res.end(renderMetrics());
+  }
+  if (url.pathname === '/healthz') {
+    // 503 while logging in or reconnecting so uptime monitors can alert on a stuck gateway
+    const ready = client.isReady?.() === true;
+    res.writeHead(ready ? 200 : 503, { 'Content-Type': 'application/json; charset=utf-8' });
+    return res.end(JSON.stringify({ status: ready ? 'ok' : 'unavailable', ready, reconnecting, uptime: Math.round(process.uptime()) }));
+  }
+  res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+  res.end('Not found\n');
+}
+
+/** Start the metrics server if METRICS_PORT is set. Started before login so /healthz reports 503 until the gateway is ready. */
+function startMetricsServer() {
+  if (metricsServer || !Number.isInteger(METRICS_PORT)) return;
+  metricsServer = http.createServer((req, res) => {
+    try {
+      handleMetricsRequest(req, res);
+    } catch (error) {
+      logError('[metrics]', error?.message ?? error);
+      if (!res.headersSent) res.writeHead(500);
+      res.end();
+    }
+  });
+  metricsServer.on('error', (error) => logError('Metrics server error:', error?.message ?? error));
+  metricsServer.listen(METRICS_PORT, METRICS_HOST, () => log(`Metrics listening on http://${METRICS_HOST}:${METRICS_PORT}/metrics`));
+}
+
+// ============================================================
+// HTTP API - Optional local control API and web dashboard (set HTTP_API_PORT and HTTP_API_TOKEN to enable)
+// ============================================================
+const HTTP_API_PORT = parseInt(process.env.HTTP_API_PORT ?? '', 10);
+// Localhost only unless explicitly bound elsewhere (e.g. 0.0.0.0 behind a reverse proxy)
+const HTTP_API_HOST = process.env.HTTP_API_HOST || '127.0.0.1';
+const HTTP_API_TOKEN = process.env.HTTP_API_TOKEN ?? '';
+const HTTP_JSON_BODY_MAX_BYTES = 64 * 1024;
+// Web dashboard served at / by the same server; it talks to the API with the token entered in the browser
+const DASHBOARD_HTML_PATH = join(__dirname, 'dashboard.html');
+let httpServer = null;
+
+/** Voice channel of a guild by ID (type 2), or null. */
+function getGuildVoiceChannel(guildId, channelId) {
+  const channel = client.channels.get(channelId);
+  return channel && channel.guildId === guildId && channel.type === 2 ? channel : null;
+}
+
+function apiError(status, error) {
+  return { status, body: { error } };
+}
+
+function isApiAuthorized(req) {
+  const header = req.headers.authorization ?? '';
+  const token = header.startsWith('Bearer ') ? header.slice('Bearer '.length) : '';
+  const given = Buffer.from(token);
+  const expected = Buffer.from(HTTP_API_TOKEN);
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+/** Read a request body up to maxBytes. Rejects with { status: 413 } if it is larger. */
+function readRequestBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    let chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      if (!chunks) return;
+      size += chunk.length;
+      if (size > maxBytes) {
+        // Keep draining without buffering so the handler can still answer with the 413
+        chunks = null;
+        reject(apiError(413, `Body too large (max ${maxBytes} bytes)`));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (chunks) resolve(Buffer.concat(chunks));
+    });
+    req.on('error', reject);
+  });
+}
+
+/** Emoji key from a URL path segment. Throws a 400 for malformed percent-encoding such as `%E0`. */
+function decodeEmojiParam(emoji) {
+  try {
+    return decodeURIComponent(emoji);
+  } catch (_) {
+    throw apiError(400, 'Invalid emoji');
+  }
+}
+
+async function readJsonBody(req) {
+  const raw = await readRequestBody(req, HTTP_JSON_BODY_MAX_BYTES);
+  if (raw.length === 0) return {};
+  try {
+    return JSON.parse(raw.toString('utf8'));
+  } catch (_) {
+    throw apiError(400, 'Body must be JSON');
+  }
+}
+
+function describeRequestForApi(request) {
+  return {
+    emoji: request.soundKey,
+    name: request.sound.name,
+    userId: request.userId,
+    userName: request.userName,
+    channelId: request.voiceChannelId ?? request.channelId ?? null,
+  };
+}
+
+/** Find a sound by exact emoji key or unique name match. Returns [emoji, sound] or an API error. */
+function findSoundForApi(guildId, input) {
+  const guildSounds = getGuildSounds(guildId);
+  if (guildSounds[input]) return [input, guildSounds[input]];
+  const matches = findSoundsByName(guildId, input);
+  if (matches.length === 0) return apiError(404, `No sound matches "${input}"`);
+  if (matches.length > 1) {
+    return { status: 409, body: { error: `Several sounds match "${input}"`, matches: matches.map(([emoji, sound]) => ({ emoji, name: sound.name })) } };
+  }
+  return matches[0];
+}
+
+const HTTP_API_ROUTES = [
+  ['GET', /^\/api\/guilds$/, async () => ({
+    status: 200,
+    body: Array.from(client.guilds.values()).map((guild) => ({
+      id: guild.id,
+      name: guild.name,
+      sounds: Object.keys(getGuildSounds(guild.id)).length,
+      disabled: isSoundboardDisabled(guild.id),
+    })),
+  })],
+
+  ['GET', /^\/api\/guilds\/(\d+)\/sounds$/, async (guildId) => ({
+    status: 200,
+    body: Object.entries(getGuildSounds(guildId)).map(([emoji, sound]) => ({
+      emoji,
+      name: sound.name,
+      category: sound.category ?? null,
+      animated: sound.animated === true,
+      duration: getSoundDuration(guildId, emoji) ?? null,
+      size: sound.path && existsSync(sound.path) ? statSync(sound.path).size : null,
+    })),
+  })],
+
+  ['GET', /^\/api\/guilds\/(\d+)\/sounds\/([^/]+)\/audio$/, async (guildId, req, url, emoji) => {
+    const sound = getGuildSounds(guildId)[decodeEmojiParam(emoji)];
+    if (!sound?.path || !existsSync(sound.path)) return apiError(404, 'Sound not found');
+    return { status: 200, body: sound.buffer ?? (await readFile(sound.path)), contentType: 'audio/webm' };
+  }],
+
+  // { "name": "New name", "category": "Memes" | null } — either field may be left out
+  ['PATCH', /^\/api\/guilds\/(\d+)\/sounds\/([^/]+)$/, async (guildId, req, url, emoji) => {
+    const emojiKey = decodeEmojiParam(emoji);
+    const sound = getGuildSounds(guildId)[emojiKey];
+    if (!sound) return apiError(404, 'Sound not found');
+    const { name, category } = await readJsonBody(req);
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) return apiError(400, '"name" must be a non-empty string');
+    if (category !== undefined && category !== null && (typeof category !== 'string' || validateCategoryName(category, guildId))) {
+      return apiError(400, validateCategoryName(category, guildId) ?? '"category" must be a string or null');
+    }
+    if (name !== undefined && name.trim() !== sound.name) renameSoundInLibrary(guildId, emojiKey, name.trim());
+    if (category !== undefined) {
+      if (category) sound.category = ensureCategory(guildId, category);
+      else delete sound.category;
+      saveSoundsConfig();
+    }
+    await reloadGuildSoundboard(guildId);
+    return { status: 200, body: { emoji: emojiKey, name: sound.name, category: sound.category ?? null } };
+  }],
+
+  // { "emojis": [emoji, ...] } — new board order
+  ['PUT', /^\/api\/guilds\/(\d+)\/sound-order$/, async (guildId, req) => {
+    const { emojis } = await readJsonBody(req);
+    if (!Array.isArray(emojis) || emojis.some((key) => typeof key !== 'string')) return apiError(400, '"emojis" must be an array of emoji keys');
+    reorderGuildSounds(guildId, emojis);
+    await reloadGuildSoundboard(guildId);
+    return { status: 200, body: { order: Object.keys(getGuildSounds(guildId)) } };
+  }],
+
+  ['GET', /^\/api\/guilds\/(\d+)\/voice-channels$/, async (guildId) => ({
+    status: 200,
+    body: Array.from(client.channels.values())
+      .filter((c) => c.guildId === guildId && c.type === 2)
+      .map((c) => ({ id: c.id, name: c.name, members: getActualUserCountInChannel(guildId, c.id) })),
+  })],
+
+  ['GET', /^\/api\/guilds\/(\d+)\/playback$/, async (guildId) => ({
+    status: 200,
+    body: {
+      botChannelId: voiceManager.getVoiceChannelId(guildId, client.user.id) ?? null,
+      mixing: getMixingSettings(guildId).enabled,
+      playing: getNowPlaying(guildId).map(describeRequestForApi),
+      queue: (playbackQueues.get(guildId) ?? []).map(describeRequestForApi),
+    },
+  })],
+
+  // { "sound": emoji or name, "channelId": voice channel } — queued like any other play (no cooldowns)
+  ['POST', /^\/api\/guilds\/(\d+)\/play$/, async (guildId, req) => {
+    const { sound: soundInput, channelId } = await readJsonBody(req);
+    if (typeof soundInput !== 'string' || typeof channelId !== 'string') return apiError(400, '"sound" and "channelId" are required');
+    if (!getGuildVoiceChannel(guildId, channelId)) return apiError(404, 'Voice channel not found');
+    const found = findSoundForApi(guildId, soundInput);
+    if (!Array.isArray(found)) return found;
+    const [soundKey, sound] = found;
+    const request = { sound, soundKey, userId: 'api', userName: 'HTTP API', channelId };
+    const result = enqueuePlayback(guildId, request);
+    if (!result.ok) return apiError(429, result.reason);
+    const position = (playbackQueues.get(guildId) ?? []).indexOf(request) + 1;
+    return { status: 202, body: { emoji: soundKey, name: sound.name, position } };
+  }],
+
+  // { "clearQueue": true } to drop waiting sounds as well
+  ['POST', /^\/api\/guilds\/(\d+)\/stop$/, async (guildId, req) => {
+    const { clearQueue = false } = await readJsonBody(req);
+    const stopped = await stopPlayback(guildId, { clearQueue: clearQueue === true });
+    return { status: 200, body: { stopped: stopped.map(describeRequestForApi) } };
+  }],
+
+  // Raw audio body; ?name=...&emoji=...&filename=clip.mp3[&category=...&start=...&end=...] — same checks as !soundboard add
+  ['POST', /^\/api\/guilds\/(\d+)\/sounds$/, async (guildId, req, url) => {
+    const name = url.searchParams.get('name')?.trim();
+    const emojiInput = url.searchParams.get('emoji')?.trim();
+    const uploadName = url.searchParams.get('filename') ?? '';
+    const category = url.searchParams.get('category')?.trim() || undefined;
+    if (!name || !emojiInput) return apiError(400, '"name" and "emoji" query parameters are required');
+    if (!isAllowedAudioFile(guildId, uploadName)) return apiError(415, `${unsupportedFormatMessage(guildId)} (pass ?filename=)`);
+    if (category && validateCategoryName(category, guildId)) return apiError(400, validateCategoryName(category, guildId));
+    const range = ['start', 'end'].filter((key) => url.searchParams.has(key)).map((key) => `--${key} ${url.searchParams.get(key)}`).join(' ');
+    const clipArgs = extractClipRange(range, guildId);
+    if (clipArgs.error) return apiError(400, clipArgs.error);
+    const resolvedEmoji = await resolveSoundEmoji(guildId, emojiInput);
+    if (resolvedEmoji.error) return apiError(409, resolvedEmoji.error);
+
+    const data = await readRequestBody(req, getUploadLimits(guildId).maxBytes);
+    if (data.length === 0) return apiError(400, 'Empty body; send the audio file as the request body');
+    const filename = uniqueSoundFilename(guildId, sanitizeFilename(name));
+    const imported = await importUploadedSound({ data }, guildId, join(getGuildSoundsDir(guildId), filename), clipArgs.clip);
+    if (!imported.ok) return apiError(422, imported.error);
+    const sound = await addSoundToLibrary(guildId, resolvedEmoji.emojiKey, {
+      name,
+      filename,
+      animated: resolvedEmoji.animated,
+      category,
+      duration: imported.duration,
+    });
+    await reloadGuildSoundboard(guildId);
+    log(`Added sound via HTTP API: ${name} (${resolvedEmoji.emojiKey})`);
+    return { status: 201, body: { emoji: resolvedEmoji.emojiKey, name: sound.name, category: sound.category ?? null, duration: imported.duration } };
+  }],
+
+  // Emoji URL-encoded, e.g. /api/guilds/123/sounds/%F0%9F%8E%BA or /api/guilds/123/sounds/name%3A456
+  ['DELETE', /^\/api\/guilds\/(\d+)\/sounds\/([^/]+)$/, async (guildId, req, url, emoji) => {
+    const removed = removeSoundFromLibrary(guildId, decodeEmojiParam(emoji));
+    if (!removed) return apiError(404, 'Sound not found');
+    await reloadGuildSoundboard(guildId);
+    log(`Removed sound via HTTP API: ${removed.name}`);
+    return { status: 200, body: { removed: removed.name } };
+  }],
+];
+
+async function handleHttpApiRequest(req, res) {
+  const send = ({ status, body, contentType = 'application/json; charset=utf-8' }) => {
+    // The rest of an oversized body is not worth reading; close the connection after the 413
+    res.writeHead(status, { 'Content-Type': contentType, ...(status === 413 && { Connection: 'close' }) });
+    res.end(Buffer.isBuffer(body) || typeof body === 'string' ? body : JSON.stringify(body));
+  };
+  try {
+    const url = new URL(req.url, 'http://localhost');
+    // The dashboard page holds no data; everything it shows comes from the token-protected API
+    if (req.method === 'GET' && (url.pathname === '/' || url.pathname === '/dashboard')) {
+      return send({ status: 200, body: readFileSync(DASHBOARD_HTML_PATH), contentType: 'text/html; charset=utf-8' });
+    }
+    if (!isApiAuthorized(req)) return send(apiError(401, 'Missing or invalid bearer token'));
+    const pathRoutes = HTTP_API_ROUTES.filter(([, pattern]) => pattern.test(url.pathname));
+    if (pathRoutes.length === 0) return send(apiError(404, 'Not found'));
+    const route = pathRoutes.find(([method]) => method === req.method);
+    if (!route) return send(apiError(405, 'Method not allowed'));
+    const [guildId, ...params] = url.pathname.match(route[1]).slice(1);
+    if (guildId && !client.guilds.get(guildId)) return send(apiError(404, 'Unknown guild'));
+    send(await route[2](guildId, req, url, ...params));
+  } catch (error) {
+    if (error?.status && error?.body) return send(error);
+    logError('[http api]', error?.message ?? error);
+    send(apiError(500, 'Internal error'));
+  }
+}
+
+/** Start the HTTP API if HTTP_API_PORT is set (requires HTTP_API_TOKEN). */
+function startHttpApi() {
+  if (httpServer || !Number.isInteger(HTTP_API_PORT)) return;
+  if (!HTTP_API_TOKEN) {
+    logWarn('HTTP_API_PORT is set but HTTP_API_TOKEN is empty; not starting the HTTP API.');
+    return;
+  }
+  httpServer = http.createServer((req, res) => {
+    handleHttpApiRequest(req, res);
+  });
+  httpServer.on('error', (error) => logError('HTTP API error:', error?.message ?? error));
+  httpServer.listen(HTTP_API_PORT, HTTP_API_HOST, () => log(`HTTP API and dashboard listening on http://${HTTP_API_HOST}:${HTTP_API_PORT}`));
+}
+
+// ============================================================
+// COMMAND PREFIX - Per-guild prefix and alias (commandPrefix / commandAlias settings) plus mention-as-prefix
+// ============================================================
+// Commands are matched and written in this canonical form; other prefixes are translated to and from it
+const CANONICAL_PREFIX = '!soundboard';
+
+/** Prefixes that end in punctuation (e.g. "!" or "sb.") may be followed directly by the command: "!add". */
+function prefixNeedsSpace(prefix) {
+  return /[\p{L}\p{N}_]$/u.test(prefix);
+}
+
+/**
+ * Translate a message addressed to the bot into the canonical `!soundboard ...` form using the guild's prefix, its alias
+ * or a mention of the bot (`@Bot add ...`). Returns null when it isn't a command for this bot, so a server that changed
+ * its prefix no longer answers `!soundboard`.
+ */
+function toCanonicalCommand(text, guildId) {
+  const botId = client.user?.id;
+  const mention = botId ? text.match(new RegExp(`^<@!?${botId}>\\s*`)) : null;
+  if (mention) return `${CANONICAL_PREFIX} ${text.slice(mention[0].length)}`.trim();
+  const commandPrefix = getSetting('commandPrefix', guildId);
+  // Older spelling of reload
+  if (commandPrefix === CANONICAL_PREFIX && text === '!soundboard_reload') return `${CANONICAL_PREFIX} reload`;
+  // Longest first, so an alias like "!sb" wins over a prefix "!"
+  const prefixes = [commandPrefix, getSetting('commandAlias', guildId)].sort((x, y) => y.length - x.length);
+  for (const prefix of prefixes) {
+    if (!prefix || text.slice(0, prefix.length).toLowerCase() !== prefix.toLowerCase()) continue;
+    const rest = text.slice(prefix.length);
+    if (rest && !/^\s/.test(rest) && prefixNeedsSpace(prefix)) continue;
+    return `${CANONICAL_PREFIX} ${rest.trim()}`.trim();
+  }
+  return null;
+}
+
+/** Reply text (or message options) with every `!soundboard` replaced by the guild's prefix. */
+function withGuildPrefix(options, guildId) {
+  const prefix = getSetting('commandPrefix', guildId);
+  if (prefix === CANONICAL_PREFIX) return options;
+  const render = (text) => text.replace(/!soundboard(?![\w-])( ?)/g, (_, space) => (space && !prefixNeedsSpace(prefix) ? prefix : `${prefix}${space}`));
+  if (typeof options === 'string') return render(options);
+  return options?.content ? { ...options, content: render(options.content) } : options;
+}
+
+/** Reply to a command message; replies quote commands as `!soundboard ...`, shown with the prefix the server uses. */
+function replyTo(message, options) {
+  return message.reply(withGuildPrefix(options, message.guildId));
+}
+
+// ============================================================
+// COMMANDS - Declarative registry: arguments, permission level and help text per subcommand
+// ============================================================
+// Permission levels a command can require; help only lists commands the caller passes.
+// Their names are the catalogue messages `permission.<level>`, refusals `permission.<level>.denied`.
+const COMMAND_PERMISSIONS = {
+  everyone: { allows: () => true },
+  manage: { allows: (member, guildId) => canManageSoundboard(member, guildId), checked: true },
+  admin: { allows: (member) => canConfigureRoles(member), checked: true },
+};
+
+/**
+ * Argument spec: `{ name, label?, optional?, quoted?, rest? }`. `quoted: true` accepts `"several words"` or one word,
+ * `quoted: 'required'` insists on the quotes, `rest` takes everything that is left.
+ */
+function formatCommandArg(spec) {
+  const label = spec.label ?? spec.name;
+  const inner = spec.quoted === 'required' ? `"<${label}>"` : `<${label}>`;
+  return spec.optional ? `[${inner.replace(/^<(.*)>$/, '$1')}]` : inner;
+}
+
+/** Split `input` according to the argument specs. Returns null when an argument is missing or text is left over. */
+function parseCommandArgs(specs, input) {
+  const args = {};
+  let rest = input.trim();
+  for (const spec of specs) {
+    if (!rest) {
+      if (spec.optional) continue;
+      return null;
+    }
+    let match;
+    if (spec.rest) {
+      match = [rest, rest];
+    } else if (spec.quoted && rest.startsWith('"')) {
+      match = rest.match(/^"([^"]+)"/);
+    } else if (spec.quoted !== 'required') {
+      match = rest.match(/^(\S+)/);
+    }
+    if (!match) return null;
+    args[spec.name] = match[1];
+    rest = rest.slice(match[0].length).trim();
+  }
+  return rest ? null : args;
+}
+
+function commandSynopsis(command) {
+  return [command.name, ...(command.args ?? []).map(formatCommandArg)].join(' ');
+}
+
+/** Usage forms of a command; `usage` (one form or a list of alternatives) overrides the form generated from its arguments. */
+function commandUsageForms(command) {
+  return command.usage ? [].concat(command.usage).map((form) => `${command.name} ${form}`.trim()) : [commandSynopsis(command)];
+}
+
+function formatCommandUsage(command) {
+  const [first, ...others] = commandUsageForms(command);
+  // Alternatives repeat only what differs from the command name
+  const rest = others.map((form) => `\`${form.slice(command.name.length).trim()}\``);
+  return [`\`!soundboard ${first}\``, ...rest].join(' | ');
+}
+
+/** Catalogue key prefix of a command's help texts: "config role add" -> "command.config.role.add" */
+function commandMessageKey(command) {
+  return `command.${command.name.replace(/ /g, '.')}`;
+}
+
+/** Usage line with the command's optional hint (`command.<name>.hint`). */
+function describeCommandUsage(command, guildId) {
+  const hintKey = `${commandMessageKey(command)}.hint`;
+  return `${formatCommandUsage(command)}${hasMessage(hintKey) ? ` ${t(guildId, hintKey)}` : ''}`;
+}
+
+async function replyUsage(message, command) {
+  await replyTo(message, t(message.guildId, 'command.usage', { usage: describeCommandUsage(command, message.guildId) }));
+}
+
+async function leaveCommand(message, { guildId }) {
+  const botVoiceChannelId = voiceManager.getVoiceChannelId(guildId, client.user.id);
+
+  if (botVoiceChannelId) {
+    await leaveVoiceChannel(guildId);
+    await replyTo(message, t(guildId, 'leave.done'));
+  } else {
+    await replyTo(message, t(guildId, 'leave.notInVoice'));
+  }
+}
+
+async function reloadCommand(message, { guildId }) {
+  const guild = client.guilds.get(guildId);
+
+  if (!guild) {
+    await replyTo(message, t(guildId, 'error.guildNotFound'));
+    return;
+  }
+
+  if (isSoundboardDisabled(guildId)) {
+    await replyTo(message, t(guildId, 'reload.disabled'));
+    return;
+  }
+
+  await replyTo(message, t(guildId, 'reload.started'));
+  log(`\nReloading soundboard for: ${guild.name} (${guildId})`);
+
+  // Without a configured channel, fall back to the channel the command was used in
+  const soundboardChannel =
+    findSoundboardChannel(guildId, guild?.channels ?? client.channels) ||
+    (getGuildSettings(guildId).channelId ? null : client.channels.get(message.channelId));
+
+  if (!soundboardChannel) {
+    await replyTo(message, t(guildId, 'reload.noChannel'));
+    return;
+  }
+
+  const channelId = soundboardChannel.id;
+  log(`Using channel: #${soundboardChannel.name} (${channelId})`);
+
+  try {
+    // Queued like any other refresh, so one still running can't edit or repost the board while it is being replaced
+    await queueSoundboardUpdate(guildId, async () => {
+      const allGuildChannels = Array.from(client.channels.values())
+        .filter(c => c.guildId === guildId && c.type === 0);
+      for (const channel of allGuildChannels) {
+        await deleteBotMessages(channel.id);
+      }
+      setSoundboardMessages(guildId, channelId, []);
+      return applySoundboardUpdate(channelId, guildId);
+    });
+    log(`Soundboard reloaded successfully!`);
+    await replyTo(message, t(guildId, 'reload.done', { channel: `<#${channelId}>` }));
+  } catch (error) {
+    log(`Failed to reload soundboard: ${error.message}`);
+    await replyTo(message, t(guildId, 'reload.failed'));
+  }
+}
+
+async function stopCommand(message, { guildId, command }) {
+  const clearQueue = command.name === 'stop';
+  const stopped = await stopPlayback(guildId, { clearQueue });
+  if (stopped.length === 0) {
+    await replyTo(message, t(guildId, clearQueue ? 'stop.nothingPlaying' : 'skip.nothingPlaying'));
+    return;
+  }
+  const names = stopped.map((request) => `"${request.sound.name}"`).join(', ');
+  await replyTo(message, t(guildId, clearQueue ? 'stop.done' : 'skip.done', { sounds: names }));
+}
+
+async function queueCommand(message, { guildId }) {
+  const playing = getNowPlaying(guildId);
+  const queue = playbackQueues.get(guildId) ?? [];
+  if (playing.length === 0 && queue.length === 0) {
+    await replyTo(message, t(guildId, 'queue.empty'));
+    return;
+  }
+  const describe = (request) => `${displayEmojiForEmbed(request.soundKey, request.sound.animated)} ${request.sound.name} (${request.userName})`;
+  const lines = [];
+  for (const request of playing) lines.push(t(guildId, 'queue.nowPlaying', { sound: describe(request) }));
+  queue.forEach((request, i) => lines.push(`${i + 1}. ${describe(request)}`));
+  const { maxLength } = getQueueLimits(guildId);
+  lines.push(t(guildId, 'queue.count', { count: queue.length, max: maxLength }));
+  await replyTo(message, lines.join('\n'));
+}
+
+async function configQueueCommand(message, { guildId, args, command }) {
+  if (!args.maxLength) {
+    const { maxLength, maxPerUser } = getQueueLimits(guildId);
+    await replyTo(message, t(guildId, 'config.queue.show', { count: maxLength, perUser: maxPerUser }));
+    return;
+  }
+  const [maxLength, maxPerUser] = [args.maxLength, args.perUser].map((value) => (/^\d+$/.test(value ?? '') ? parseInt(value, 10) : NaN));
+  if (!(maxLength >= 1 && maxLength <= 100 && maxPerUser >= 1 && maxPerUser <= maxLength)) {
+    await replyUsage(message, command);
+    return;
+  }
+  updateGuildSettings(guildId, { queueMaxLength: maxLength, queueMaxPerUser: maxPerUser });
+  await replyTo(message, `✅ ${t(guildId, 'config.queue.show', { count: maxLength, perUser: maxPerUser })}`);
+}
+
+async function playCommand(message, { guildId, args }) {
+  const query = args.name;
+  const guildSounds = getGuildSounds(guildId);
+  const choiceKey = `${guildId}:${message.author.id}`;
+  const pending = pendingPlayChoices.get(choiceKey);
+  let matches = guildSounds[query] ? [[query, guildSounds[query]]] : findSoundsByName(guildId, query);
+  // "!soundboard play 2" picks from the last list shown to this user (unless a sound is literally named "2")
+  if (/^\d+$/.test(query) && pending && pending.expires > Date.now() && normalizeSoundName(matches[0]?.[1].name) !== query) {
+    const pickedKey = pending.keys[parseInt(query, 10) - 1];
+    matches = pickedKey && guildSounds[pickedKey] ? [[pickedKey, guildSounds[pickedKey]]] : [];
+  }
+
+  if (matches.length === 0) {
+    await replyTo(message, t(guildId, 'play.noMatch', { query }));
+    return;
+  }
+  if (matches.length > 1) {
+    const shown = matches.slice(0, PLAY_CHOICE_MAX);
+    pendingPlayChoices.set(choiceKey, { keys: shown.map(([emoji]) => emoji), expires: Date.now() + PLAY_CHOICE_TTL_MS });
+    const lines = shown.map(([emoji, sound], i) => `${i + 1}. ${formatSoundLine(emoji, sound)}`);
+    if (matches.length > shown.length) lines.push(t(guildId, 'play.moreMatches', { count: matches.length - shown.length }));
+    await replyTo(message, `${t(guildId, 'play.severalMatches', { query })}\n${lines.join('\n')}`);
+    return;
+  }
+  pendingPlayChoices.delete(choiceKey);
+
+  const [soundKey, sound] = matches[0];
+  const label = formatSoundLine(soundKey, sound);
+  const result = await requestPlay(guildId, {
+    sound,
+    soundKey,
+    userId: message.author.id,
+    userName: message.author.username ?? message.author.id,
+  });
+  if (result.ok) {
+    await replyTo(message, result.position > 0 ? t(guildId, 'play.queued', { sound: label, position: result.position }) : t(guildId, 'play.playing', { sound: label }));
+  } else if (result.cooldown) {
+    await replyTo(message, t(guildId, 'play.wait', { seconds: Math.ceil(result.cooldown.waitMs / 1000), reason: t(guildId, result.cooldown.key, result.cooldown.params) }));
+  } else if (result.code === 'not_in_voice') {
+    await replyTo(message, t(guildId, 'play.notInVoice'));
+  } else {
+    await replyTo(message, t(guildId, 'play.blocked', { sound: label, reason: t(guildId, `play.blocked.${result.code}`, { count: result.limit }) }));
+  }
+}
+
+async function scheduleCommand(message, { guildId, args, command }) {
+  let emojiKey;
+  try {
+    emojiKey = normalizeEmojiKeyForStorage(await client.resolveEmoji(args.emoji, guildId));
+  } catch (e) {
+    await replyTo(message, t(guildId, 'emoji.invalid', { error: e.message }));
+    return;
+  }
+  if (!getGuildSounds(guildId)[emojiKey]) {
+    await replyTo(message, t(guildId, 'emoji.notOnBoard'));
+    return;
+  }
+  // Voice channel by mention, ID or name
+  const channelInput = args.channel.replace(/^<#(\d+)>$/, '$1');
+  const voiceChannel = Array.from(client.channels.values()).find(
+    (c) => c.guildId === guildId && c.type === 2 && (c.id === channelInput || c.name?.toLowerCase() === channelInput.toLowerCase())
+  );
+  if (!voiceChannel) {
+    await replyTo(message, t(guildId, 'schedule.noVoiceChannel', { channel: args.channel }));
+    return;
+  }
+  if (getGuildSchedules(guildId).length >= MAX_SCHEDULES_PER_GUILD) {
+    await replyTo(message, t(guildId, 'schedule.limit', { count: MAX_SCHEDULES_PER_GUILD }));
+    return;
+  }
+
+  const timeInput = args.time.trim().replace(/^"(.*)"$/, '$1');
+  const schedule = { soundKey: emojiKey, channelId: voiceChannel.id, createdBy: message.author.id };
+  if (parseCron(timeInput)) {
+    schedule.cron = timeInput.split(/\s+/).join(' ');
+  } else {
+    schedule.at = parseScheduleTime(timeInput);
+    if (!schedule.at) {
+      await replyUsage(message, command);
+      return;
+    }
+  }
+  const added = addSchedule(guildId, schedule);
+  await replyTo(message, t(guildId, 'schedule.added', { schedule: describeSchedule(guildId, added) }));
+  log(`Added schedule #${added.id} in ${guildId}: ${schedule.cron ?? new Date(schedule.at).toISOString()}`);
+}
+
+async function statsCommand(message, { guildId, args, command }) {
+  const words = (args.view ?? '').split(/\s+/).filter(Boolean);
+  const view = ['sounds', 'users', 'unused', 'sound'].includes(words[0]?.toLowerCase()) ? words.shift().toLowerCase() : 'sounds';
+  const emojiInput = view === 'sound' ? words.shift() : null;
+  const rangeInput = words.shift()?.toLowerCase();
+  const since = parseStatsRange(rangeInput);
+  if (since === null || words.length > 0 || (view === 'sound' && !emojiInput)) {
+    await replyUsage(message, command);
+    return;
+  }
+  const rangeLabel = since ? t(guildId, 'stats.range', { range: rangeInput }) : t(guildId, 'stats.allTime');
+  const guildSounds = getGuildSounds(guildId);
+  const plays = getGuildPlays(guildId, { since });
+  const soundLabel = (key, fallbackName) =>
+    guildSounds[key] ? formatSoundLine(key, guildSounds[key]) : `${displayEmojiForEmbed(key)} ${fallbackName ?? '?'} ${t(guildId, 'sound.removed')}`;
+  const lastName = (key) => plays.findLast((p) => p.soundKey === key)?.soundName;
+  const lines = [];
+
+  if (view === 'sounds') {
+    lines.push(t(guildId, 'stats.topSounds', { range: rangeLabel, count: plays.length }));
+    countPlaysBy(plays, 'soundKey').slice(0, 10).forEach(([key, count], i) => {
+      lines.push(`${i + 1}. ${soundLabel(key, lastName(key))} — ${count}`);
+    });
+  } else if (view === 'users') {
+    lines.push(t(guildId, 'stats.topUsers', { range: rangeLabel, count: plays.length }));
+    countPlaysBy(plays, 'userId').slice(0, 10).forEach(([userId, count], i) => {
+      lines.push(`${i + 1}. ${formatStatsUser(userId)} — ${count}`);
+    });
+  } else if (view === 'unused') {
+    const played = new Set(plays.map((p) => p.soundKey));
+    const unused = Object.entries(guildSounds).filter(([key]) => !played.has(key));
+    lines.push(t(guildId, 'stats.unused', { range: rangeLabel, unused: unused.length, count: Object.keys(guildSounds).length }));
+    lines.push(...unused.slice(0, 25).map(([key, sound]) => formatSoundLine(key, sound)));
+    if (unused.length > 25) lines.push(t(guildId, 'list.more', { count: unused.length - 25 }));
+  } else {
+    let emojiKey;
+    try {
+      emojiKey = normalizeEmojiKeyForStorage(await client.resolveEmoji(emojiInput, guildId));
+    } catch (e) {
+      await replyTo(message, t(guildId, 'emoji.invalid', { error: e.message }));
+      return;
+    }
+    const soundPlays = plays.filter((p) => p.soundKey === emojiKey);
+    const blocked = getGuildPlays(guildId, { since, blocked: true }).filter((p) => p.soundKey === emojiKey);
+    if (!guildSounds[emojiKey] && soundPlays.length === 0) {
+      await replyTo(message, t(guildId, 'stats.noSound', { emoji: displayEmojiForEmbed(emojiKey) }));
+      return;
+    }
+    lines.push(`**${soundLabel(emojiKey, lastName(emojiKey))}** (${rangeLabel})`);
+    lines.push([
+      t(guildId, 'stats.plays', { count: soundPlays.length }),
+      t(guildId, 'stats.users', { count: new Set(soundPlays.map((p) => p.userId)).size }),
+      t(guildId, 'stats.blocked', { count: blocked.length }),
+    ].join(', '));
+    for (const play of soundPlays.slice(-10).reverse()) {
+      const where = play.channelId ? ` ${t(guildId, 'stats.inChannel', { channel: `<#${play.channelId}>` })}` : '';
+      lines.push(`• ${formatPlayTime(play.at)} — ${formatStatsUser(play.userId)}${where}`);
+    }
+  }
+  if (lines.length === 1 && view !== 'unused') lines.push(t(guildId, 'stats.noPlays'));
+  await replyTo(message, lines.join('\n'));
+}
+
+async function configPlayCountsCommand(message, { guildId, args, command }) {
+  const arg = args.state?.toLowerCase();
+  if (!arg) {
+    await replyTo(message, t(guildId, 'config.playcounts.show', { state: t(guildId, getGuildSettings(guildId).showPlayCounts ? 'state.on' : 'state.off') }));
+    return;
+  }
+  if (arg !== 'on' && arg !== 'off') {
+    await replyUsage(message, command);
+    return;
+  }
+  updateGuildSettings(guildId, { showPlayCounts: arg === 'on' ? true : undefined });
+  await reloadGuildSoundboard(guildId);
+  await replyTo(message, `✅ ${t(guildId, 'config.playcounts.show', { state: t(guildId, `state.${arg}`) })}`);
+}
+
+async function entranceCommand(message, { guildId, args }) {
+  const userId = message.author.id;
+  const arg = args.choice;
+  const settings = getEntranceSettings(guildId);
+  const guildSounds = getGuildSounds(guildId);
+  const disabledNote = settings.enabled ? '' : `\n${t(guildId, 'entrance.turnedOff')}`;
+
+  if (!arg) {
+    const entrance = getMemberEntrance(guildId, userId);
+    const sound = entrance && guildSounds[entrance.soundKey];
+    if (!sound) {
+      await replyTo(message, `${t(guildId, 'entrance.none')}${disabledNote}`);
+      return;
+    }
+    const state = entrance.optedOut ? ` ${t(guildId, 'entrance.paused')}` : '';
+    await replyTo(message, `${t(guildId, 'entrance.show', { sound: formatSoundLine(entrance.soundKey, sound) })}${state}${disabledNote}`);
+    return;
+  }
+  const lower = arg.toLowerCase();
+  if (lower === 'off' || lower === 'on') {
+    setEntranceOptOut(guildId, userId, lower === 'off');
+    await replyTo(message, lower === 'off' ? t(guildId, 'entrance.pausedDone') : `${t(guildId, 'entrance.resumed')}${disabledNote}`);
+    return;
+  }
+  if (lower === 'clear' || lower === 'none') {
+    setMemberEntrance(guildId, userId, null);
+    setEntranceOptOut(guildId, userId, false);
+    await replyTo(message, t(guildId, 'entrance.removed'));
+    return;
+  }
+
+  let emojiKey;
+  try {
+    emojiKey = normalizeEmojiKeyForStorage(await client.resolveEmoji(arg, guildId));
+  } catch (e) {
+    await replyTo(message, t(guildId, 'emoji.invalid', { error: e.message }));
+    return;
+  }
+  const sound = guildSounds[emojiKey];
+  if (!sound) {
+    await replyTo(message, t(guildId, 'emoji.notOnBoard'));
+    return;
+  }
+  if (settings.allowed && !settings.allowed.includes(emojiKey)) {
+    const allowed = settings.allowed.filter((key) => guildSounds[key]).map((key) => displayEmojiForEmbed(key, guildSounds[key].animated));
+    await replyTo(message, t(guildId, 'entrance.notAllowed', { allowed: allowed.join(' ') || t(guildId, 'list.none') }));
+    return;
+  }
+  setMemberEntrance(guildId, userId, emojiKey);
+  setEntranceOptOut(guildId, userId, false);
+  await replyTo(message, `${t(guildId, 'entrance.set', { sound: formatSoundLine(emojiKey, sound) })}${disabledNote}`);
+}
+
+async function configEntranceCommand(message, { guildId, args, command }) {
+  const [setting, ...values] = (args.setting ?? '').split(/\s+/).filter(Boolean);
+  const describe = () => {
+    const e = getEntranceSettings(guildId);
+    const guildSounds = getGuildSounds(guildId);
+    const allowed = e.allowed
+      ? e.allowed.filter((key) => guildSounds[key]).map((key) => displayEmojiForEmbed(key, guildSounds[key].animated)).join(' ') || t(guildId, 'list.none')
+      : t(guildId, 'config.entrance.allSounds');
+    return t(guildId, 'config.entrance.show', { state: t(guildId, e.enabled ? 'state.on' : 'state.off'), seconds: e.cooldownSec, allowed });
+  };
+
+  const resolveKeys = async () => {
+    const keys = [];
+    for (const input of values) {
+      const key = normalizeEmojiKeyForStorage(await client.resolveEmoji(input, guildId));
+      if (!getGuildSounds(guildId)[key]) throw new Error(t(guildId, 'config.entrance.notOnBoard', { emoji: input }));
+      keys.push(key);
+    }
+    return keys;
+  };
+
+  const action = setting?.toLowerCase();
+  try {
+    if (!action) {
+      await replyTo(message, describe());
+      return;
+    } else if ((action === 'on' || action === 'off') && values.length === 0) {
+      updateGuildSettings(guildId, { entrancesEnabled: action === 'on' ? true : undefined });
+    } else if (action === 'cooldown' && /^\d+$/.test(values[0] ?? '') && values.length === 1 && Number(values[0]) <= 86400) {
+      updateGuildSettings(guildId, { entranceCooldownSec: Number(values[0]) });
+    } else if (action === 'allow' && values.length === 1 && values[0].toLowerCase() === 'all') {
+      updateGuildSettings(guildId, { entranceAllowed: undefined });
+    } else if (action === 'allow' && values.length > 0) {
+      const current = getEntranceSettings(guildId).allowed ?? [];
+      updateGuildSettings(guildId, { entranceAllowed: [...new Set([...current, ...(await resolveKeys())])] });
+    } else if (action === 'disallow' && values.length > 0) {
+      const removed = await resolveKeys();
+      // Disallowing from "all sounds" starts from the full board
+      const current = getEntranceSettings(guildId).allowed ?? Object.keys(getGuildSounds(guildId));
+      updateGuildSettings(guildId, { entranceAllowed: current.filter((key) => !removed.includes(key)) });
+    } else {
+      await replyUsage(message, command);
+      return;
+    }
+  } catch (e) {
+    await replyTo(message, `❌ ${e.message}`);
+    return;
+  }
+  await replyTo(message, `✅ ${describe()}`);
+}
+
+async function configCooldownCommand(message, { guildId, args, command }) {
+  const [setting, ...values] = (args.setting ?? '').toLowerCase().split(/\s+/).filter(Boolean);
+  const numbers = values.map((v) => (/^\d+$/.test(v) ? parseInt(v, 10) : NaN));
+  const describe = () => {
+    const c = getCooldownSettings(guildId);
+    const rate = c.rateCount > 0 ? t(guildId, 'config.cooldown.rate', { count: c.rateCount, seconds: c.rateWindowSec }) : `**${t(guildId, 'state.off')}**`;
+    return t(guildId, 'config.cooldown.show', { userSeconds: c.userSec, soundSeconds: c.soundSec, rate });
+  };
+
+  if (!setting) {
+    await replyTo(message, describe());
+    return;
+  }
+  if (setting === 'user' && numbers.length === 1 && numbers[0] <= 3600) {
+    updateGuildSettings(guildId, { cooldownUserSec: numbers[0] });
+  } else if (setting === 'sound' && numbers.length === 1 && numbers[0] <= 3600) {
+    updateGuildSettings(guildId, { cooldownSoundSec: numbers[0] });
+  } else if (setting === 'rate' && values.length === 1 && values[0] === 'off') {
+    updateGuildSettings(guildId, { rateLimitCount: 0 });
+  } else if (setting === 'rate' && numbers.length === 2 && numbers[0] >= 1 && numbers[0] <= 100 && numbers[1] >= 1 && numbers[1] <= 3600) {
+    updateGuildSettings(guildId, { rateLimitCount: numbers[0], rateLimitWindowSec: numbers[1] });
+  } else {
+    await replyUsage(message, command);
+    return;
+  }
+  await replyTo(message, `✅ ${describe()}`);
+}
+
+async function configMixingCommand(message, { guildId, args, command }) {
+  const state = args.state?.toLowerCase();
+  if (!state) {
+    const { enabled, maxVoices } = getMixingSettings(guildId);
+    await replyTo(message, enabled ? t(guildId, 'config.mixing.on', { count: maxVoices }) : t(guildId, 'config.mixing.off'));
+    return;
+  }
+  if (state === 'off' && !args.voices) {
+    updateGuildSettings(guildId, { mixingEnabled: undefined });
+    await closeMixer(guildId);
+    await replyTo(message, t(guildId, 'config.mixing.disabled'));
+    return;
+  }
+  const maxVoices = args.voices ? (/^\d+$/.test(args.voices) ? parseInt(args.voices, 10) : NaN) : getMixingSettings(guildId).maxVoices;
+  if (state !== 'on' || !(maxVoices >= 2 && maxVoices <= 8)) {
+    await replyUsage(message, command);
+    return;
+  }
+  updateGuildSettings(guildId, { mixingEnabled: true, mixingMaxVoices: maxVoices });
+  await replyTo(message, t(guildId, 'config.mixing.enabled', { count: maxVoices }));
+}
+
+async function reprocessCommand(message, { guildId, args }) {
+  const guildSounds = getGuildSounds(guildId);
+  const emojiInput = args.emoji;
+  let targets = Object.entries(guildSounds);
+  if (emojiInput) {
+    let emojiKey;
+    try {
+      emojiKey = normalizeEmojiKeyForStorage(await client.resolveEmoji(emojiInput, guildId));
+    } catch (e) {
+      await replyTo(message, t(guildId, 'emoji.invalid', { error: e.message }));
+      return;
+    }
+    if (!guildSounds[emojiKey]) {
+      await replyTo(message, t(guildId, 'emoji.notOnBoard'));
+      return;
+    }
+    targets = [[emojiKey, guildSounds[emojiKey]]];
+  }
+  if (targets.length === 0) {
+    await replyTo(message, t(guildId, 'reprocess.nothing'));
+    return;
+  }
+
+  await replyTo(message, t(guildId, 'reprocess.started', { count: targets.length }));
+  const lines = [];
+  let failed = 0;
+  for (const [emojiKey, sound] of targets) {
+    const tempFile = join(getGuildSoundsDir(guildId), `reprocess_${Date.now()}.webm`);
+    try {
+      const processed = await processSoundFile(sound.path, tempFile, guildId);
+      if (!processed.ok) throw new Error(t(guildId, 'sound.conversionFailed'));
+      copyFileSync(tempFile, sound.path);
+      sound.buffer = await readFile(sound.path);
+      delete sound.pcmBuffer;
+      setSoundDuration(guildId, emojiKey, await getAudioDuration(sound.path));
+      lines.push(`${displayEmojiForEmbed(emojiKey, sound.animated)} ${sound.name}: ${formatLoudness(processed.before, guildId)} → ${formatLoudness(processed.after, guildId)}`);
+    } catch (error) {
+      failed++;
+      logError(`Error reprocessing "${sound.name}":`, error.message);
+      lines.push(`${displayEmojiForEmbed(emojiKey, sound.animated)} ${sound.name}: ❌ ${error.message}`);
+    } finally {
+      if (existsSync(tempFile)) unlinkSync(tempFile);
+    }
+  }
+  const summary = failed > 0
+    ? t(guildId, 'reprocess.partial', { done: targets.length - failed, count: targets.length })
+    : t(guildId, 'reprocess.done', { count: targets.length });
+  // Keep the reply within the message length limit on big boards
+  const details = lines.join('\n');
+  await replyTo(message, details.length > 1800 ? summary : `${summary}\n${details}`);
+}
+
+async function trimCommand(message, { guildId, args, command }) {
+  const emojiInput = args.emoji;
+  const rangeArgs = args.range.split(/\s+/);
+  let clipArgs = extractClipRange(rangeArgs.join(' '), guildId);
+  if (!clipArgs.error && !clipArgs.clip && rangeArgs.length === 2) {
+    clipArgs = extractClipRange(`--start ${rangeArgs[0]} --end ${rangeArgs[1]}`, guildId);
+  }
+  if (clipArgs.error) {
+    await replyTo(message, `❌ ${clipArgs.error}`);
+    return;
+  }
+  if (!clipArgs.clip || clipArgs.rest) {
+    await replyUsage(message, command);
+    return;
+  }
+  const { clip } = clipArgs;
+
+  let emojiKey;
+  try {
+    emojiKey = normalizeEmojiKeyForStorage(await client.resolveEmoji(emojiInput, guildId));
+  } catch (e) {
+    await replyTo(message, t(guildId, 'emoji.invalid', { error: e.message }));
+    return;
+  }
+  const sound = getGuildSounds(guildId)[emojiKey];
+  if (!sound) {
+    await replyTo(message, t(guildId, 'emoji.notOnBoard'));
+    return;
+  }
+
+  const tempFile = join(getGuildSoundsDir(guildId), `trim_${Date.now()}.webm`);
+  try {
+    if (!(await convertToWebm(sound.path, tempFile, clipFilters(clip), guildId))) {
+      await replyTo(message, t(guildId, 'trim.failed'));
+      return;
+    }
+    const duration = await getAudioDuration(tempFile);
+    if (!(duration > 0)) {
+      await replyTo(message, t(guildId, 'trim.empty', { name: sound.name, seconds: (getSoundDuration(guildId, emojiKey) ?? 0).toFixed(1) }));
+      return;
+    }
+    copyFileSync(tempFile, sound.path);
+    sound.buffer = await readFile(sound.path);
+    delete sound.pcmBuffer;
+    setSoundDuration(guildId, emojiKey, duration);
+    await replyTo(message, t(guildId, 'trim.done', {
+      name: sound.name,
+      emoji: displayEmojiForEmbed(emojiKey, sound.animated),
+      range: formatClipRange(clip, guildId),
+      seconds: duration.toFixed(2),
+    }));
+    log(`Trimmed sound: ${sound.name} (${formatClipRange(clip)})`);
+  } catch (error) {
+    logError('Error trimming sound:', error);
+    await replyTo(message, t(guildId, 'error.generic', { error: error.message }));
+  } finally {
+    if (existsSync(tempFile)) unlinkSync(tempFile);
+  }
+}
+
+async function configAudioCommand(message, { guildId, args, command }) {
+  const [setting, value] = [args.setting?.toLowerCase(), args.value?.toLowerCase()];
+  const describe = () => {
+    const a = getAudioSettings(guildId);
+    const state = (on) => t(guildId, on ? 'state.on' : 'state.off');
+    return t(guildId, 'config.audio.show', {
+      normalize: state(a.normalize),
+      target: a.targetLufs,
+      trim: state(a.trimSilence),
+      fade: a.fadeMs ? `${a.fadeMs} ms` : state(false),
+    });
+  };
+  const onOff = { on: true, off: false };
+
+  if (!setting) {
+    await replyTo(message, describe());
+    return;
+  }
+  if (setting === 'normalize' && value in onOff) {
+    updateGuildSettings(guildId, { audioNormalize: onOff[value] });
+  } else if (setting === 'trim' && value in onOff) {
+    updateGuildSettings(guildId, { audioTrimSilence: onOff[value] });
+  } else if (setting === 'target' && Number(value) >= -30 && Number(value) <= -5) {
+    updateGuildSettings(guildId, { audioTargetLufs: Number(value) });
+  } else if (setting === 'fade' && /^\d+$/.test(value ?? '') && Number(value) <= 500) {
+    updateGuildSettings(guildId, { audioFadeMs: Number(value) });
+  } else {
+    await replyUsage(message, command);
+    return;
+  }
+  await replyTo(message, `✅ ${describe()}`);
+}
+
+async function configSetCommand(message, { guildId, args }) {
+  const { setting: keyInput, value } = args;
+  const describe = (key) => {
+    const overrides = getGuildSettings(guildId).settingOverrides ?? {};
+    const source = t(guildId, key in overrides ? 'config.set.override' : BOT_SETTINGS_SCHEMA[key].guild ? 'config.set.botWide' : 'config.set.botWideOnly');
+    return `\`${key}\` = **${formatSettingValue(getSetting(key, guildId))}** (${source}) — ${BOT_SETTINGS_SCHEMA[key].description}`;
+  };
+
+  if (!keyInput) {
+    const lines = Object.keys(BOT_SETTINGS_SCHEMA).map(describe);
+    await replyTo(message, `${t(guildId, 'config.set.title')}\n${lines.join('\n')}\n\n${t(guildId, 'config.set.hint')}`);
+    return;
+  }
+  const key = Object.keys(BOT_SETTINGS_SCHEMA).find((k) => k.toLowerCase() === keyInput.toLowerCase());
+  if (!key) {
+    await replyTo(message, t(guildId, 'config.set.unknown', { setting: keyInput }));
+    return;
+  }
+  if (!value) {
+    await replyTo(message, describe(key));
+    return;
+  }
+
+  const result = setGuildSettingOverride(guildId, key, value.toLowerCase() === 'reset' ? null : value);
+  if (result.error) {
+    await replyTo(message, `❌ ${result.error}`);
+    return;
+  }
+  if (['embedTitle', 'embedColor', 'language'].includes(key)) scheduleBoardRefresh(guildId);
+  log(`Setting ${key} for guild ${guildId}: ${formatSettingValue(result.value)}`);
+  await replyTo(message, `✅ ${describe(key)}`);
+}
+
+async function configChannelCommand(message, { guildId, args, command }) {
+  const arg = args.channel;
+  const settings = getGuildSettings(guildId);
+
+  if (!arg) {
+    if (settings.disabled) {
+      await replyTo(message, t(guildId, 'config.channel.disabled'));
+    } else if (settings.channelId) {
+      await replyTo(message, t(guildId, 'config.channel.show', { channel: `<#${settings.channelId}>` }));
+    } else {
+      await replyTo(message, t(guildId, 'config.channel.automatic', { names: getSetting('channelNames', guildId).map((n) => `#${n}`).join(', ') }));
+    }
+    return;
+  }
+
+  if (arg.toLowerCase() === 'off') {
+    await removePostedSoundboard(guildId);
+    updateGuildSettings(guildId, { channelId: undefined, disabled: true });
+    await replyTo(message, t(guildId, 'config.channel.off'));
+    return;
+  }
+
+  if (arg.toLowerCase() === 'none') {
+    updateGuildSettings(guildId, { channelId: undefined, disabled: undefined });
+    await reloadGuildSoundboard(guildId);
+    const channelId = soundboardChannelIds.get(guildId);
+    await replyTo(message, channelId ? t(guildId, 'config.channel.clearedNow', { channel: `<#${channelId}>` }) : t(guildId, 'config.channel.cleared'));
+    return;
+  }
+
+  const idMatch = arg.match(/^<#(\d+)>$/) || arg.match(/^(\d+)$/);
+  if (!idMatch) {
+    await replyUsage(message, command);
+    return;
+  }
+  const channelId = idMatch[1];
+  let channel = client.channels.get(channelId);
+  if (!channel) {
+    try {
+      channel = await client.rest.get(`/channels/${channelId}`);
+    } catch {
+      channel = null;
+    }
+  }
+  const channelGuildId = channel?.guildId ?? channel?.guild_id;
+  if (!channel || channelGuildId !== guildId) {
+    await replyTo(message, t(guildId, 'config.channel.notFound'));
+    return;
+  }
+  if (channel.type != null && channel.type !== 0 && channel.type !== 'GUILD_TEXT') {
+    await replyTo(message, t(guildId, 'config.channel.notText'));
+    return;
+  }
+
+  updateGuildSettings(guildId, { channelId, disabled: undefined });
+  await reloadGuildSoundboard(guildId);
+  await replyTo(message, t(guildId, 'config.channel.set', { channel: `<#${channelId}>` }));
+}
+
+async function configLanguageCommand(message, { guildId, args }) {
+  const input = args.language?.toLowerCase();
+  const languages = [...locales.keys()].map((code) => `\`${code}\` (${translate(code, 'language.name')})`).join(', ');
+  if (!input) {
+    await replyTo(message, t(guildId, 'config.language.show', { language: translate(getSetting('language', guildId), 'language.name'), languages }));
+    return;
+  }
+  const result = setGuildSettingOverride(guildId, 'language', input === 'reset' ? null : input);
+  if (result.error) {
+    await replyTo(message, t(guildId, 'config.language.unknown', { language: input, languages }));
+    return;
+  }
+  scheduleBoardRefresh(guildId);
+  log(`Language for guild ${guildId}: ${getSetting('language', guildId)}`);
+  await replyTo(message, t(guildId, 'config.language.set', { language: translate(getSetting('language', guildId), 'language.name') }));
+}
+
+async function removeCommand(message, { guildId, args }) {
+  const emojiInput = args.emoji;
+  let emojiKey;
+  try {
+    const resolved = await client.resolveEmoji(emojiInput, guildId);
+    emojiKey = normalizeEmojiKeyForStorage(resolved);
+  } catch (e) {
+    await replyTo(message, t(guildId, 'emoji.invalid', { error: e.message }));
+    return;
+  }
+  const guildSounds = getGuildSounds(guildId);
+  const sound = guildSounds[emojiKey];
+  if (!sound) {
+    await replyTo(message, t(guildId, 'emoji.notOnBoard'));
+    return;
+  }
+  removeSoundFromLibrary(guildId, emojiKey);
+  await reloadGuildSoundboard(guildId);
+  await replyTo(message, t(guildId, 'remove.done', { name: sound.name, emoji: displayEmojiForEmbed(emojiKey, sound.animated) }));
+}
+
+async function renameCommand(message, { guildId, args }) {
+  const newName = args.name.trim();
+  let emojiKey;
+  try {
+    emojiKey = normalizeEmojiKeyForStorage(await client.resolveEmoji(args.emoji, guildId));
+  } catch (e) {
+    await replyTo(message, t(guildId, 'emoji.invalid', { error: e.message }));
+    return;
+  }
+  const sound = getGuildSounds(guildId)[emojiKey];
+  if (!sound) {
+    await replyTo(message, t(guildId, 'emoji.notOnBoard'));
+    return;
+  }
+  if (!newName) {
+    await replyTo(message, t(guildId, 'rename.empty'));
+    return;
+  }
+
+  const oldName = sound.name;
+  renameSoundInLibrary(guildId, emojiKey, newName);
+  await reloadGuildSoundboard(guildId);
+  await replyTo(message, t(guildId, 'rename.done', { oldName, newName, emoji: displayEmojiForEmbed(emojiKey, sound.animated) }));
+  log(`Renamed sound: ${oldName} -> ${newName}`);
+}
+
+async function emojiCommand(message, { guildId, args }) {
+  const { oldEmoji: oldInput, newEmoji: newInput } = args;
+  let oldKey;
+  try {
+    oldKey = normalizeEmojiKeyForStorage(await client.resolveEmoji(oldInput, guildId));
+  } catch (e) {
+    await replyTo(message, t(guildId, 'emoji.invalid', { error: e.message }));
+    return;
+  }
+  const guildSounds = getGuildSounds(guildId);
+  const sound = guildSounds[oldKey];
+  if (!sound) {
+    await replyTo(message, t(guildId, 'emoji.notOnBoard'));
+    return;
+  }
+  const resolvedEmoji = await resolveSoundEmoji(guildId, newInput);
+  if (resolvedEmoji.error) {
+    await replyTo(message, `❌ ${resolvedEmoji.error}`);
+    return;
+  }
+  const newKey = resolvedEmoji.emojiKey;
+
+  // Re-key in place so the sound keeps its position on the board
+  const entries = Object.entries(guildSounds);
+  for (const [key] of entries) delete guildSounds[key];
+  for (const [key, value] of entries) guildSounds[key === oldKey ? newKey : key] = value;
+  if (resolvedEmoji.animated) sound.animated = true;
+  else delete sound.animated;
+
+  const duration = getSoundDuration(guildId, oldKey);
+  deleteSoundDuration(guildId, oldKey);
+  if (duration != null) setSoundDuration(guildId, newKey, duration);
+  moveSoundPlayStats(guildId, oldKey, newKey);
+  moveSoundCooldown(guildId, oldKey, newKey);
+  moveEntranceSound(guildId, oldKey, newKey);
+  moveScheduleSound(guildId, oldKey, newKey);
+  saveSoundsConfig();
+  await reloadGuildSoundboard(guildId);
+  await replyTo(message, t(guildId, 'emoji.changed', { name: sound.name, emoji: displayEmojiForEmbed(newKey, sound.animated), oldEmoji: displayEmojiForEmbed(oldKey) }));
+  log(`Changed emoji of ${sound.name}: ${oldKey} -> ${newKey}`);
+}
+
+async function replaceCommand(message, { guildId, args, command }) {
+  const emojiInput = args.emoji;
+  const clipArgs = extractClipRange(args.range ?? '', guildId);
+  if (clipArgs.error) {
+    await replyTo(message, `❌ ${clipArgs.error}`);
+    return;
+  }
+  if (clipArgs.rest) {
+    await replyUsage(message, command);
+    return;
+  }
+  let emojiKey;
+  try {
+    emojiKey = normalizeEmojiKeyForStorage(await client.resolveEmoji(emojiInput, guildId));
+  } catch (e) {
+    await replyTo(message, t(guildId, 'emoji.invalid', { error: e.message }));
+    return;
+  }
+  const sound = getGuildSounds(guildId)[emojiKey];
+  if (!sound) {
+    await replyTo(message, t(guildId, 'emoji.notOnBoard'));
+    return;
+  }
+  const upload = getAudioAttachment(message);
+  if (upload.error) {
+    await replyTo(message, `❌ ${upload.error}`);
+    return;
+  }
+
+  await replyTo(message, t(guildId, 'replace.started', { name: sound.name }));
+  const webmFile = join(getGuildSoundsDir(guildId), `replace_${Date.now()}.webm`);
+  try {
+    const imported = await importUploadedSound(upload, guildId, webmFile, clipArgs.clip);
+    if (!imported.ok) {
+      await replyTo(message, `❌ ${imported.error}`);
+      return;
+    }
+    copyFileSync(webmFile, sound.path);
+    sound.buffer = await readFile(sound.path);
+    delete sound.pcmBuffer;
+    setSoundDuration(guildId, emojiKey, imported.duration);
+    await replyTo(message, 
+      `${t(guildId, 'replace.done', { name: sound.name, emoji: displayEmojiForEmbed(emojiKey, sound.animated), seconds: imported.duration.toFixed(2) })}\n` +
+        describeLoudnessChange(imported.processed, guildId)
+    );
+    log(`Replaced audio of sound: ${sound.name}`);
+  } catch (error) {
+    logError('Error replacing sound:', error);
+    await replyTo(message, t(guildId, 'error.generic', { error: error.message }));
+  } finally {
+    if (existsSync(webmFile)) unlinkSync(webmFile);
+  }
+}
+
+async function exportCommand(message, { guildId }) {
+  if (Object.keys(getGuildSounds(guildId)).length === 0) {
+    await replyTo(message, t(guildId, 'export.nothing'));
+    return;
+  }
+
+  try {
+    const { path, count } = await exportGuildSoundboard(guildId);
+    const size = statSync(path).size;
+    if (size <= EXPORT_ATTACHMENT_MAX_BYTES) {
+      try {
+        await replyTo(message, {
+          content: t(guildId, 'export.attached', { count }),
+          files: [{ name: basename(path), data: await readFile(path) }],
+        });
+        unlinkSync(path);
+        log(`Exported ${count} sound(s) of ${guildId} as attachment`);
+        return;
+      } catch (error) {
+        logWarn('Could not attach export, keeping it on disk:', error?.message ?? error);
+      }
+    }
+    await replyTo(message, t(guildId, 'export.saved', { count, size: (size / 1024 / 1024).toFixed(1), file: `exports/${basename(path)}` }));
+    log(`Exported ${count} sound(s) of ${guildId} to ${path}`);
+  } catch (error) {
+    logError('Error exporting soundboard:', error);
+    await replyTo(message, t(guildId, 'error.generic', { error: error.message }));
+  }
+}
+
+async function importCommand(message, { guildId, args, command }) {
+  const mode = args.mode?.toLowerCase();
+  if (mode && mode !== 'overwrite') {
+    await replyUsage(message, command);
+    return;
+  }
+  const attachment = getFirstAttachment(message);
+  const url = attachment?.url ?? attachment?.proxy_url;
+  const name = attachment?.filename ?? attachment?.file_name ?? '';
+  if (!url || !ALLOWED_ARCHIVE_EXT.test(name)) {
+    await replyTo(message, t(guildId, 'import.noArchive'));
+    return;
+  }
+  const size = attachment.size ?? attachment.content_length;
+  if (size != null && size > IMPORT_ARCHIVE_MAX_BYTES) {
+    await replyTo(message, t(guildId, 'import.tooLarge', { max: IMPORT_ARCHIVE_MAX_BYTES / 1024 / 1024 }));
+    return;
+  }
+
+  await replyTo(message, t(guildId, 'import.started'));
+  if (!existsSync(EXPORTS_DIR)) mkdirSync(EXPORTS_DIR, { recursive: true });
+  const archivePath = join(EXPORTS_DIR, `upload_${Date.now()}.tar.gz`);
+  try {
+    await downloadFile(url, archivePath);
+    if (statSync(archivePath).size > IMPORT_ARCHIVE_MAX_BYTES) {
+      await replyTo(message, t(guildId, 'import.tooLarge', { max: IMPORT_ARCHIVE_MAX_BYTES / 1024 / 1024 }));
+      return;
+    }
+    const { imported, skipped } = await importGuildSoundboard(guildId, archivePath, { overwrite: mode === 'overwrite' });
+    if (imported.length > 0) await reloadGuildSoundboard(guildId);
+    const lines = [imported.length > 0 ? t(guildId, 'import.done', { count: imported.length }) : t(guildId, 'import.nothing')];
+    if (skipped.length > 0) {
+      lines.push(t(guildId, 'import.skipped', { count: skipped.length }), ...skipped.slice(0, 15).map((reason) => `• ${reason}`));
+      if (skipped.length > 15) lines.push(t(guildId, 'list.more', { count: skipped.length - 15 }));
+    }
+    await replyTo(message, lines.join('\n'));
+    log(`Imported ${imported.length} sound(s) into ${guildId} (${skipped.length} skipped)`);
+  } catch (error) {
+    if (error.code === 'ARCHIVE_TOO_LARGE') {
+      log(`Refused import into ${guildId}: ${error.message}`);
+      await replyTo(message, t(guildId, 'import.unpackedTooLarge', { max: IMPORT_UNPACKED_MAX_BYTES / 1024 / 1024 }));
+      return;
+    }
+    logError('Error importing soundboard:', error);
+    await replyTo(message, t(guildId, 'import.failed', { error: error.message }));
+  } finally {
+    if (existsSync(archivePath)) unlinkSync(archivePath);
+  }
+}
+
+async function shareCommand(message, { guildId, args, command }) {
+  const { emoji: emojiInput, serverId: targetGuildId, targetEmoji: targetEmojiInput } = args;
+  if (!/^\d+$/.test(targetGuildId)) {
+    await replyUsage(message, command);
+    return;
+  }
+  let emojiKey;
+  try {
+    emojiKey = normalizeEmojiKeyForStorage(await client.resolveEmoji(emojiInput, guildId));
+  } catch (e) {
+    await replyTo(message, t(guildId, 'emoji.invalid', { error: e.message }));
+    return;
+  }
+  const sound = getGuildSounds(guildId)[emojiKey];
+  if (!sound) {
+    await replyTo(message, t(guildId, 'emoji.notOnBoard'));
+    return;
+  }
+  if (targetGuildId === guildId) {
+    await replyTo(message, t(guildId, 'share.sameServer'));
+    return;
+  }
+  const targetGuild = client.guilds.get(targetGuildId);
+  if (!targetGuild) {
+    await replyTo(message, t(guildId, 'share.unknownServer'));
+    return;
+  }
+  // Sharing is opt-in on both sides: the caller must also be allowed to manage the target server's soundboard
+  const targetMember = await getGuildMember(targetGuildId, message.author.id);
+  if (!canManageSoundboard(targetMember, targetGuildId)) {
+    await replyTo(message, t(guildId, 'share.noPermission', { server: targetGuild.name }));
+    return;
+  }
+  let targetKey = emojiKey;
+  let animated = sound.animated;
+  if (targetEmojiInput) {
+    try {
+      targetKey = normalizeEmojiKeyForStorage(await client.resolveEmoji(targetEmojiInput, targetGuildId));
+    } catch (e) {
+      await replyTo(message, t(guildId, 'emoji.invalid', { error: e.message }));
+      return;
+    }
+    animated = /^<a:\w+:\d+>$/i.test(targetEmojiInput);
+  }
+  if (isStopEmoji(targetKey)) {
+    await replyTo(message, t(guildId, 'emoji.reserved', { emoji: STOP_EMOJI }));
+    return;
+  }
+  if (/^\w+:\d+$/.test(targetKey) && !(await isCustomEmojiFromGuild(targetGuildId, targetKey))) {
+    await replyTo(message, t(guildId, 'share.foreignEmoji', { emoji: displayEmojiForEmbed(targetKey, animated), server: targetGuild.name }));
+    return;
+  }
+  const targetSounds = getGuildSounds(targetGuildId);
+  if (targetSounds[targetKey]) {
+    await replyTo(message, t(guildId, 'share.emojiInUse', { emoji: displayEmojiForEmbed(targetKey, targetSounds[targetKey].animated), name: targetSounds[targetKey].name, server: targetGuild.name }));
+    return;
+  }
+  try {
+    const copy = copySoundToGuild(sound, targetGuildId, targetKey, { sharedFrom: guildId });
+    if (animated) copy.animated = true;
+    else delete copy.animated;
+  } catch (error) {
+    logError('Error sharing sound:', error);
+    await replyTo(message, t(guildId, 'error.generic', { error: error.message }));
+    return;
+  }
+  const duration = getSoundDuration(guildId, emojiKey);
+  if (duration != null) setSoundDuration(targetGuildId, targetKey, duration);
+  saveSoundsConfig();
+  await reloadGuildSoundboard(targetGuildId);
+  await replyTo(message, t(guildId, 'share.done', { name: sound.name, server: targetGuild.name, emoji: displayEmojiForEmbed(targetKey, animated) }));
+  log(`Shared sound: ${sound.name} from ${guildId} to ${targetGuildId}`);
 }
 
-client.on(Events.MessageCreate, safeHandler(async (message) => {
-  // Ignore bot messages
-  if (message.author.bot) return;
-
-  // Dedupe: only handle each message once (gateway can emit duplicate MESSAGE_CREATE e.g. on reconnect)
-  const msgId = message.id;
-  if (msgId && processedMessageIds.has(msgId)) return;
-  if (msgId) {
-    processedMessageIds.add(msgId);
-    setTimeout(() => processedMessageIds.delete(msgId), MESSAGE_DEDUPE_TTL_MS);
+async function addCommand(message, { guildId, args }) {
+  const soundName = args.name;
+  const emojiInput = args.emoji;
+  const clipArgs = extractClipRange(args.options, guildId);
+  if (clipArgs.error) {
+    await replyTo(message, `❌ ${clipArgs.error}`);
+    return;
   }
-
-  const content = message.content.trim();
-
-  // !soundboard leave command — requires Manage Server or configured role
-  if (content === '!soundboard leave') {
-    const guildId = message.guildId;
-    if (!guildId) {
-      await message.reply('❌ This command can only be used in a server.');
-      return;
-    }
-    const member = await getMessageMember(message);
-    if (!canManageSoundboard(member, guildId)) {
-      await message.reply('❌ You don\'t have permission. You need **Manage Server** or a role configured with `!soundboard config role add`.');
+  const { clip } = clipArgs;
+  const categoryInput = clipArgs.rest.replace(/^"(.*)"$/, '$1') || undefined;
+  if (categoryInput) {
+    const categoryError = validateCategoryName(categoryInput, guildId);
+    if (categoryError) {
+      await replyTo(message, `❌ ${categoryError}`);
       return;
     }
-    const botVoiceChannelId = voiceManager.getVoiceChannelId(guildId, client.user.id);
+  }
+  const resolvedEmoji = await resolveSoundEmoji(guildId, emojiInput);
+  if (resolvedEmoji.error) {
+    await replyTo(message, `❌ ${resolvedEmoji.error}`);
+    return;
+  }
+  const { emojiKey } = resolvedEmoji;
 
-    if (botVoiceChannelId) {
-      voiceManager.leave(guildId);
-      isPlaying.delete(guildId);
-      await message.reply('Left voice channel');
-    } else {
-      await message.reply('Not in a voice channel');
-    }
+  const upload = getAudioAttachment(message);
+  if (upload.error) {
+    await replyTo(message, `❌ ${upload.error}`);
     return;
   }
 
-  // !soundboard reload command — requires Manage Server or configured role
-  if (content === '!soundboard reload' || content === '!soundboard_reload') {
-    const guildId = message.guildId;
-    if (!guildId) {
-      await message.reply('❌ This command can only be used in a server.');
-      return;
-    }
-    const member = await getMessageMember(message);
-    if (!canManageSoundboard(member, guildId)) {
-      await message.reply('❌ You don\'t have permission. You need **Manage Server** or a role configured with `!soundboard config role add`.');
-      return;
-    }
-    const guild = client.guilds.get(guildId);
+  await replyTo(message, t(guildId, 'add.started', { name: soundName, emoji: displayEmojiForEmbed(emojiKey) }));
+
+  const guildSounds = getGuildSounds(guildId);
+  try {
+    const soundsDir = getGuildSoundsDir(guildId);
+    const filename = uniqueSoundFilename(guildId, sanitizeFilename(soundName));
+    const webmFile = join(soundsDir, filename);
 
-    if (!guild) {
-      await message.reply('Could not find guild');
+    const imported = await importUploadedSound(upload, guildId, webmFile, clip);
+    if (!imported.ok) {
+      await replyTo(message, `❌ ${imported.error}`);
       return;
     }
+    const { duration, processed } = imported;
+
+    await addSoundToLibrary(guildId, emojiKey, {
+      name: soundName,
+      filename,
+      animated: resolvedEmoji.animated,
+      category: categoryInput,
+      duration,
+    });
+    await reloadGuildSoundboard(guildId);
+
+    const { category } = guildSounds[emojiKey];
+    const added = { name: soundName, emoji: displayEmojiForEmbed(emojiKey, guildSounds[emojiKey].animated), category, seconds: duration.toFixed(2) };
+    const clipNote = clip ? ` ${t(guildId, 'add.clipped', { range: formatClipRange(clip, guildId) })}` : '';
+    await replyTo(message, 
+      `${t(guildId, category ? 'add.doneInCategory' : 'add.done', added)}${clipNote}\n` +
+        describeLoudnessChange(processed, guildId)
+    );
+    log(`Added sound: ${soundName} (${emojiInput})`);
+  } catch (error) {
+    logError('Error adding sound:', error);
+    await replyTo(message, t(guildId, 'error.generic', { error: error.message }));
+  }
+}
 
-    await message.reply('🔄 Reloading soundboard...');
-    log(`\nReloading soundboard for: ${guild.name} (${guildId})`);
+/** Find a role by ID or (case-insensitive) name. */
+function findGuildRole(guildId, input) {
+  const guild = client.guilds.get(guildId);
+  if (!guild) return null;
+  if (/^\d+$/.test(input)) return guild.roles.get(input) ?? null;
+  return Array.from(guild.roles.values()).find((r) => r.name.toLowerCase() === input.toLowerCase()) ?? null;
+}
 
-    const allGuildChannels = Array.from(client.channels.values())
-      .filter(c => c.guildId === guildId && c.type === 0);
+async function configRoleAddCommand(message, { guildId, args }) {
+  const role = findGuildRole(guildId, args.role);
+  if (!role) {
+    await replyTo(message, t(guildId, 'config.role.notFound', { role: args.role }));
+    return;
+  }
+  const added = addAllowedRole(guildId, role.id);
+  if (added) {
+    await replyTo(message, t(guildId, 'config.role.added', { role: `${role}`, name: role.name }));
+  } else {
+    await replyTo(message, t(guildId, 'config.role.alreadyAllowed', { role: `${role}` }));
+  }
+}
 
-    for (const channel of allGuildChannels) {
-      await deleteBotMessages(channel.id);
-    }
+async function configRoleRemoveCommand(message, { guildId, args }) {
+  const role = findGuildRole(guildId, args.role);
+  if (!role) {
+    await replyTo(message, t(guildId, 'config.role.notFound', { role: args.role }));
+    return;
+  }
+  removeAllowedRole(guildId, role.id);
+  await replyTo(message, t(guildId, 'config.role.removed', { role: `${role}`, name: role.name }));
+}
 
-    const soundboardChannel = findSoundboardChannel(guildId, guild?.channels ?? client.channels) || client.channels.get(message.channelId);
+async function configRoleListCommand(message, { guildId }) {
+  const ids = getAllowedRoleIds(guildId);
+  if (ids.length === 0) {
+    await replyTo(message, t(guildId, 'config.role.none'));
+    return;
+  }
+  const guild = client.guilds.get(guildId);
+  const roles = ids.map((id) => guild?.roles.get(id)).filter(Boolean);
+  const names = roles.map((r) => `${r} (\`${r.name}\`)`).join(', ');
+  await replyTo(message, t(guildId, 'config.role.list', { roles: names || t(guildId, 'list.none') }));
+}
 
-    if (!soundboardChannel) {
-      await message.reply('❌ No suitable text channel found');
-      return;
-    }
+async function queueClearCommand(message, { guildId }) {
+  const dropped = await clearPlaybackQueue(guildId);
+  await replyTo(message, dropped > 0 ? t(guildId, 'queue.cleared', { count: dropped }) : t(guildId, 'queue.alreadyEmpty'));
+}
 
-    const channelId = soundboardChannel.id;
-    log(`Using channel: #${soundboardChannel.name} (${channelId})`);
+async function scheduleListCommand(message, { guildId }) {
+  const list = getGuildSchedules(guildId);
+  await replyTo(message, list.length > 0 ? `${t(guildId, 'schedule.title')}\n${list.map((entry) => describeSchedule(guildId, entry)).join('\n')}` : t(guildId, 'schedule.none'));
+}
 
-    try {
-      await postSoundboard(channelId, guildId);
-      log(`Soundboard reloaded successfully!`);
-      await message.reply(`Soundboard reloaded in <#${channelId}>`);
-    } catch (error) {
-      log(`Failed to reload soundboard: ${error.message}`);
-      await message.reply('❌ Failed to reload soundboard');
-    }
+async function scheduleRemoveCommand(message, { guildId, args, command }) {
+  const id = args.id.replace(/^#/, '');
+  if (!/^\d+$/.test(id)) {
+    await replyUsage(message, command);
     return;
   }
+  const removed = removeSchedule(guildId, parseInt(id, 10));
+  await replyTo(message, removed ? t(guildId, 'schedule.removed', { schedule: describeSchedule(guildId, removed) }) : t(guildId, 'schedule.notFound', { id }));
+}
 
-  // !soundboard config role add/remove/list — requires Manage Guild
-  if (content.startsWith('!soundboard config role ')) {
-    const guildId = message.guildId;
-    if (!guildId) {
-      await message.reply('❌ This command can only be used in a server.');
-      return;
-    }
-    const guild = client.guilds.get(guildId);
-    if (!guild) {
-      await message.reply('❌ Could not find this server.');
-      return;
-    }
-    const member = await getMessageMember(message);
-    if (!member) {
-      await message.reply('❌ Could not resolve your member data.');
-      return;
-    }
-    if (!canConfigureRoles(member)) {
-      await message.reply('❌ You need the **Manage Server** permission to change soundboard role config.');
-      return;
-    }
+const unquoteCategory = (value) => value.trim().replace(/^"(.*)"$/, '$1').trim();
 
-    const rest = content.slice('!soundboard config role '.length).trim();
-    const subParts = rest.split(/\s+/);
-    const subCmd = subParts[0]?.toLowerCase();
+async function categoryListCommand(message, { guildId }) {
+  const categories = getGuildCategories(guildId);
+  if (categories.length === 0) {
+    await replyTo(message, t(guildId, 'category.none'));
+    return;
+  }
+  const sounds = Object.values(getGuildSounds(guildId));
+  const lines = categories.map((name, i) => {
+    const count = sounds.filter((sound) => sound.category?.toLowerCase() === name.toLowerCase()).length;
+    return `${i + 1}. **${name}** (${t(guildId, 'category.sounds', { count })})`;
+  });
+  await replyTo(message, `${t(guildId, 'category.list')}\n${lines.join('\n')}`);
+}
 
-    if (subCmd === 'add' && subParts.length >= 2) {
-      const roleArg = subParts.slice(1).join(' ').trim();
-      const roleId = /^\d+$/.test(roleArg) ? roleArg : null;
-      const role = roleId ? guild.roles.get(roleId) : Array.from(guild.roles.values()).find((r) => r.name.toLowerCase() === roleArg.toLowerCase());
-      if (!role) {
-        await message.reply(`❌ Role not found: \`${roleArg}\`. Use a role name or role ID.`);
-        return;
-      }
-      const added = addAllowedRole(guildId, role.id);
-      if (added) {
-        await message.reply(`✅ Role ${role} (\`${role.name}\`) can now add and remove sounds.`);
-      } else {
-        await message.reply(`ℹ️ Role ${role} was already allowed.`);
-      }
-      return;
-    }
+async function categoryCreateCommand(message, { guildId, args }) {
+  const name = unquoteCategory(args.name);
+  const error = validateCategoryName(name, guildId);
+  if (error) {
+    await replyTo(message, `❌ ${error}`);
+    return;
+  }
+  if (findCategory(guildId, name)) {
+    await replyTo(message, t(guildId, 'category.exists', { name: findCategory(guildId, name) }));
+    return;
+  }
+  ensureCategory(guildId, name);
+  await replyTo(message, t(guildId, 'category.created', { name }));
+}
 
-    if (subCmd === 'remove' && subParts.length >= 2) {
-      const roleArg = subParts.slice(1).join(' ').trim();
-      const roleId = /^\d+$/.test(roleArg) ? roleArg : null;
-      const role = roleId ? guild.roles.get(roleId) : Array.from(guild.roles.values()).find((r) => r.name.toLowerCase() === roleArg.toLowerCase());
-      if (!role) {
-        await message.reply(`❌ Role not found: \`${roleArg}\`. Use a role name or role ID.`);
-        return;
-      }
-      removeAllowedRole(guildId, role.id);
-      await message.reply(`✅ Role ${role} (\`${role.name}\`) can no longer add or remove sounds.`);
-      return;
+async function categoryRenameCommand(message, { guildId, args }) {
+  const oldName = findCategory(guildId, args.oldName);
+  if (!oldName) {
+    await replyTo(message, t(guildId, 'category.notFound', { name: args.oldName }));
+    return;
+  }
+  const newName = args.newName.trim();
+  const error = validateCategoryName(newName, guildId);
+  if (error) {
+    await replyTo(message, `❌ ${error}`);
+    return;
+  }
+  const clash = findCategory(guildId, newName);
+  if (clash && clash !== oldName) {
+    await replyTo(message, t(guildId, 'category.clash', { name: clash }));
+    return;
+  }
+  setGuildCategories(guildId, getGuildCategories(guildId).map((c) => (c === oldName ? newName : c)));
+  for (const sound of Object.values(getGuildSounds(guildId))) {
+    if (sound.category?.toLowerCase() === oldName.toLowerCase()) sound.category = newName;
+  }
+  saveSoundsConfig();
+  await reloadGuildSoundboard(guildId);
+  await replyTo(message, t(guildId, 'category.renamed', { oldName, newName }));
+}
+
+async function categoryDeleteCommand(message, { guildId, args }) {
+  const name = findCategory(guildId, unquoteCategory(args.name));
+  if (!name) {
+    await replyTo(message, t(guildId, 'category.notFound', { name: unquoteCategory(args.name) }));
+    return;
+  }
+  setGuildCategories(guildId, getGuildCategories(guildId).filter((c) => c !== name));
+  let moved = 0;
+  for (const sound of Object.values(getGuildSounds(guildId))) {
+    if (sound.category?.toLowerCase() === name.toLowerCase()) {
+      delete sound.category;
+      moved++;
     }
+  }
+  saveSoundsConfig();
+  await reloadGuildSoundboard(guildId);
+  await replyTo(message, moved
+    ? t(guildId, 'category.deletedMoved', { name, count: moved, uncategorized: t(guildId, 'board.uncategorized') })
+    : t(guildId, 'category.deleted', { name }));
+}
 
-    if (subCmd === 'list') {
-      const ids = getAllowedRoleIds(guildId);
-      if (ids.length === 0) {
-        await message.reply('No roles are configured. Only users with **Manage Server** can add/remove sounds. Use `!soundboard config role add <role>` to add one.');
-        return;
-      }
-      const roles = ids.map((id) => guild.roles.get(id)).filter(Boolean);
-      const names = roles.map((r) => `${r} (\`${r.name}\`)`).join(', ');
-      await message.reply(`Roles that can add/remove sounds: ${names || '(none)'}`);
+async function categoryOrderCommand(message, { guildId, args }) {
+  const requested = args.names.split(',').map(unquoteCategory).filter(Boolean);
+  const ordered = [];
+  for (const name of requested) {
+    const found = findCategory(guildId, name);
+    if (!found) {
+      await replyTo(message, t(guildId, 'category.notFound', { name }));
       return;
     }
+    if (!ordered.includes(found)) ordered.push(found);
+  }
+  // Categories not mentioned keep their relative order after the listed ones
+  const categories = [...ordered, ...getGuildCategories(guildId).filter((c) => !ordered.includes(c))];
+  setGuildCategories(guildId, categories);
+  await reloadGuildSoundboard(guildId);
+  await replyTo(message, t(guildId, 'category.order', { categories: categories.map((c) => `**${c}**`).join(', ') }));
+}
 
-    await message.reply(
-      '❌ Usage: `!soundboard config role add <role name or ID>` | `remove <role>` | `list`'
-    );
+async function categoryMoveCommand(message, { guildId, args }) {
+  let emojiKey;
+  try {
+    emojiKey = normalizeEmojiKeyForStorage(await client.resolveEmoji(args.emoji, guildId));
+  } catch (e) {
+    await replyTo(message, t(guildId, 'emoji.invalid', { error: e.message }));
     return;
   }
-
-  // !soundboard remove <emoji>
-  if (content.startsWith('!soundboard remove ')) {
-    const guildId = message.guildId;
-    if (!guildId) {
-      await message.reply('❌ This command can only be used in a server.');
-      return;
-    }
-    const member = await getMessageMember(message);
-    if (!canManageSoundboard(member, guildId)) {
-      await message.reply('❌ You don\'t have permission to remove sounds. You need **Manage Server** or a role configured with `!soundboard config role add`.');
-      return;
-    }
-    const emojiInput = content.slice('!soundboard remove '.length).trim();
-    if (!emojiInput) {
-      await message.reply('❌ Usage: `!soundboard remove <emoji>` (e.g. `!soundboard remove 🎵` or `!soundboard remove :test:`)');
-      return;
-    }
-    let emojiKey;
-    try {
-      const resolved = await client.resolveEmoji(emojiInput, message.guildId);
-      emojiKey = normalizeEmojiKeyForStorage(resolved);
-    } catch (e) {
-      await message.reply(`❌ Invalid emoji: ${e.message}`);
-      return;
-    }
-    const sound = SOUNDS[emojiKey];
-    if (!sound) {
-      await message.reply(`❌ That emoji isn't on the soundboard. Use an emoji that's currently listed.`);
-      return;
-    }
-    if (sound.path && existsSync(sound.path)) {
-      try {
-        unlinkSync(sound.path);
-      } catch (err) {
-        logWarn('Could not delete sound file:', sound.path, err?.message);
-      }
-    }
-    delete SOUNDS[emojiKey];
-    soundDurations.delete(emojiKey);
-    saveSoundsConfig();
-    await reloadAllSoundboards();
-    await message.reply(`✅ Removed "${sound.name}" (${displayEmojiForEmbed(emojiKey, sound.animated)}).`);
+  const sound = getGuildSounds(guildId)[emojiKey];
+  if (!sound) {
+    await replyTo(message, t(guildId, 'emoji.notOnBoard'));
     return;
   }
-
-  // !soundboard add "<name>" <emoji> command (with audio attachment)
-  if (content.startsWith('!soundboard add ')) {
-    const guildId = message.guildId;
-    if (!guildId) {
-      await message.reply('❌ This command can only be used in a server.');
-      return;
-    }
-    const member = await getMessageMember(message);
-    if (!canManageSoundboard(member, guildId)) {
-      await message.reply('❌ You don\'t have permission to add sounds. You need **Manage Server** or a role configured with `!soundboard config role add`.');
+  const target = unquoteCategory(args.category);
+  if (target.toLowerCase() === 'none') {
+    delete sound.category;
+  } else {
+    const error = validateCategoryName(target, guildId);
+    if (error) {
+      await replyTo(message, `❌ ${error}`);
       return;
     }
-    const args = content.slice('!soundboard add '.length).trim();
-    const parts = args.match(/^"([^"]+)"\s+(.+)$/);
+    sound.category = ensureCategory(guildId, target);
+  }
+  saveSoundsConfig();
+  await reloadGuildSoundboard(guildId);
+  await replyTo(message, t(guildId, 'category.moved', { name: sound.name, category: sound.category ?? t(guildId, 'board.uncategorized') }));
+}
 
-    if (!parts) {
-      await message.reply('❌ Usage: `!soundboard add "Sound Name" 😀` (attach audio file)');
-      return;
+/**
+ * Every `!soundboard` subcommand. `permission` is a key of COMMAND_PERMISSIONS; `args` are parsed by parseCommandArgs
+ * before `run(message, { guildId, member, args, command })` is called. All commands except help need a server.
+ * Descriptions and usage hints are the catalogue messages `command.<name>.description` and `command.<name>.hint`.
+ */
+const COMMANDS = [
+  {
+    name: 'help',
+    permission: 'everyone',
+    args: [{ name: 'command', optional: true, rest: true }],
+    dm: true,
+    run: helpCommand,
+  },
+  {
+    name: 'play',
+    aliases: ['p'],
+    permission: 'everyone',
+    args: [{ name: 'name', rest: true }],
+    run: playCommand,
+  },
+  {
+    name: 'entrance',
+    permission: 'everyone',
+    args: [{ name: 'choice', label: 'emoji|on|off|clear', optional: true }],
+    run: entranceCommand,
+  },
+  { name: 'queue', permission: 'everyone', run: queueCommand },
+  {
+    name: 'stats',
+    permission: 'everyone',
+    args: [{ name: 'view', optional: true, rest: true }],
+    usage: '[sounds|users|unused|sound <emoji>] [range]',
+    run: statsCommand,
+  },
+  { name: 'stop', permission: 'manage', run: stopCommand },
+  { name: 'skip', permission: 'manage', run: stopCommand },
+  { name: 'queue clear', permission: 'manage', run: queueClearCommand },
+  { name: 'leave', permission: 'manage', run: leaveCommand },
+  { name: 'reload', permission: 'manage', run: reloadCommand },
+  {
+    name: 'add',
+    permission: 'manage',
+    args: [
+      { name: 'name', label: 'Sound Name', quoted: 'required' },
+      { name: 'emoji' },
+      { name: 'options', optional: true, rest: true },
+    ],
+    usage: '"Sound Name" 😀 [category] [--start <time>] [--end <time>]',
+    run: addCommand,
+  },
+  {
+    name: 'trim',
+    permission: 'manage',
+    args: [{ name: 'emoji' }, { name: 'range', rest: true }],
+    usage: '<emoji> <start> <end>',
+    run: trimCommand,
+  },
+  {
+    name: 'reprocess',
+    permission: 'manage',
+    args: [{ name: 'emoji', optional: true }],
+    run: reprocessCommand,
+  },
+  {
+    name: 'rename',
+    permission: 'manage',
+    args: [{ name: 'emoji' }, { name: 'name', label: 'New name', quoted: 'required' }],
+    usage: '<emoji> "New name"',
+    run: renameCommand,
+  },
+  {
+    name: 'emoji',
+    permission: 'manage',
+    args: [{ name: 'oldEmoji', label: 'old emoji' }, { name: 'newEmoji', label: 'new emoji' }],
+    run: emojiCommand,
+  },
+  {
+    name: 'replace',
+    permission: 'manage',
+    args: [{ name: 'emoji' }, { name: 'range', optional: true, rest: true }],
+    usage: '<emoji> [--start <time>] [--end <time>]',
+    run: replaceCommand,
+  },
+  { name: 'remove', permission: 'manage', args: [{ name: 'emoji' }], run: removeCommand },
+  { name: 'category list', permission: 'manage', run: categoryListCommand },
+  {
+    name: 'category create',
+    permission: 'manage',
+    args: [{ name: 'name', rest: true }],
+    run: categoryCreateCommand,
+  },
+  {
+    name: 'category rename',
+    permission: 'manage',
+    args: [
+      { name: 'oldName', label: 'Old name', quoted: 'required' },
+      { name: 'newName', label: 'New name', quoted: 'required' },
+    ],
+    usage: '"Old name" "New name"',
+    run: categoryRenameCommand,
+  },
+  {
+    name: 'category delete',
+    permission: 'manage',
+    args: [{ name: 'name', rest: true }],
+    run: categoryDeleteCommand,
+  },
+  {
+    name: 'category order',
+    permission: 'manage',
+    args: [{ name: 'names', rest: true }],
+    usage: '<name>, <name>, ...',
+    run: categoryOrderCommand,
+  },
+  {
+    name: 'category move',
+    permission: 'manage',
+    args: [{ name: 'emoji' }, { name: 'category', label: 'category|none', rest: true }],
+    run: categoryMoveCommand,
+  },
+  {
+    name: 'schedule',
+    permission: 'manage',
+    args: [{ name: 'emoji' }, { name: 'channel', label: 'voice channel' }, { name: 'time', rest: true }],
+    run: scheduleCommand,
+  },
+  { name: 'schedule list', permission: 'manage', run: scheduleListCommand },
+  {
+    name: 'schedule remove',
+    aliases: ['schedule delete'],
+    permission: 'manage',
+    args: [{ name: 'id' }],
+    run: scheduleRemoveCommand,
+  },
+  { name: 'export', permission: 'manage', run: exportCommand },
+  {
+    name: 'import',
+    permission: 'manage',
+    args: [{ name: 'mode', label: 'overwrite', optional: true }],
+    run: importCommand,
+  },
+  {
+    name: 'share',
+    permission: 'manage',
+    args: [{ name: 'emoji' }, { name: 'serverId', label: 'server ID' }, { name: 'targetEmoji', label: 'emoji in that server', optional: true }],
+    run: shareCommand,
+  },
+  {
+    name: 'config role add',
+    permission: 'admin',
+    args: [{ name: 'role', label: 'role name or ID', rest: true }],
+    run: configRoleAddCommand,
+  },
+  {
+    name: 'config role remove',
+    permission: 'admin',
+    args: [{ name: 'role', label: 'role name or ID', rest: true }],
+    run: configRoleRemoveCommand,
+  },
+  { name: 'config role list', permission: 'admin', run: configRoleListCommand },
+  {
+    name: 'config queue',
+    permission: 'admin',
+    args: [
+      { name: 'maxLength', optional: true },
+      { name: 'perUser', optional: true },
+    ],
+    usage: '<max length 1-100> <per-user limit 1-max length>',
+    run: configQueueCommand,
+  },
+  {
+    name: 'config playcounts',
+    permission: 'admin',
+    args: [{ name: 'state', label: 'on|off', optional: true }],
+    usage: 'on|off',
+    run: configPlayCountsCommand,
+  },
+  {
+    name: 'config entrance',
+    permission: 'admin',
+    args: [{ name: 'setting', optional: true, rest: true }],
+    usage: ['on|off', 'cooldown <0-86400 s>', 'allow <emoji...>', 'allow all', 'disallow <emoji...>'],
+    run: configEntranceCommand,
+  },
+  {
+    name: 'config cooldown',
+    permission: 'admin',
+    args: [{ name: 'setting', optional: true, rest: true }],
+    usage: ['user <0-3600 s>', 'sound <0-3600 s>', 'rate <plays 1-100> <window 1-3600 s>', 'rate off'],
+    run: configCooldownCommand,
+  },
+  {
+    name: 'config mixing',
+    permission: 'admin',
+    args: [
+      { name: 'state', optional: true },
+      { name: 'voices', optional: true },
+    ],
+    usage: ['on [max voices 2-8]', 'off'],
+    run: configMixingCommand,
+  },
+  {
+    name: 'config audio',
+    permission: 'admin',
+    args: [
+      { name: 'setting', optional: true },
+      { name: 'value', optional: true },
+    ],
+    usage: ['normalize on|off', 'target <-30 to -5 LUFS>', 'trim on|off', 'fade <0-500 ms>'],
+    run: configAudioCommand,
+  },
+  {
+    name: 'config set',
+    permission: 'admin',
+    args: [
+      { name: 'setting', optional: true },
+      { name: 'value', optional: true, rest: true },
+    ],
+    usage: '[setting [value|reset]]',
+    run: configSetCommand,
+  },
+  {
+    name: 'config channel',
+    permission: 'admin',
+    args: [{ name: 'channel', optional: true }],
+    usage: ['<#channel or ID>', 'none', 'off'],
+    run: configChannelCommand,
+  },
+  {
+    name: 'config language',
+    permission: 'admin',
+    args: [{ name: 'language', optional: true }],
+    usage: '[language|reset]',
+    run: configLanguageCommand,
+  },
+];
+
+/** Find the command with the longest name or alias that `text` starts with. */
+function findCommand(text) {
+  const lower = text.toLowerCase();
+  let found = null;
+  for (const command of COMMANDS) {
+    for (const name of [command.name, ...(command.aliases ?? [])]) {
+      if (!lower.startsWith(name) || (lower.length > name.length && !/\s/.test(lower[name.length]))) continue;
+      if (!found || name.length > found.length) found = { command, length: name.length };
     }
+  }
+  return found && { command: found.command, input: text.slice(found.length).trim() };
+}
 
-    const soundName = parts[1];
-    const emojiInput = parts[2].trim();
-    let emojiKey;
+/** Commands grouped under the longest leading words of `text` that name a group (e.g. "category", "config role"). */
+function findCommandGroup(text) {
+  const words = text.toLowerCase().split(/\s+/).filter(Boolean);
+  for (let i = words.length; i > 0; i--) {
+    const prefix = `${words.slice(0, i).join(' ')} `;
+    const group = COMMANDS.filter((command) => command.name.startsWith(prefix));
+    if (group.length > 0) return group;
+  }
+  return [];
+}
 
-    try {
-      const resolved = await client.resolveEmoji(emojiInput, message.guildId);
-      emojiKey = normalizeEmojiKeyForStorage(resolved);
-    } catch (e) {
-      await message.reply(`❌ Invalid emoji: ${e.message}`);
-      return;
-    }
+function canRunCommand(command, member, guildId) {
+  return COMMAND_PERMISSIONS[command.permission].allows(member, guildId);
+}
 
-    if (/^\w+:\d+$/.test(emojiKey) && message.guildId) {
-      const fromThisServer = await isCustomEmojiFromGuild(message.guildId, emojiKey);
-      if (!fromThisServer) {
-        await message.reply(
-          '❌ That custom emoji is from another server. You can only use custom emojis from **this server** or unicode emojis (e.g. 🎵).'
-        );
-        return;
-      }
+/** Send lines as few replies as possible without going over the message length limit. */
+async function replyInChunks(message, lines) {
+  let chunk = '';
+  for (const line of lines) {
+    if (chunk && chunk.length + line.length + 1 > 1900) {
+      await replyTo(message, chunk);
+      chunk = '';
     }
+    chunk = chunk ? `${chunk}\n${line}` : line;
+  }
+  if (chunk) await replyTo(message, chunk);
+}
 
-    // Fluxer.js uses Collection (Map-like) for message.attachments, not an array
-    let attachment = null;
-    if (message.attachments) {
-      if (typeof message.attachments.values === 'function' && message.attachments.size > 0) {
-        const first = message.attachments.first?.() ?? message.attachments.values().next().value;
-        attachment = first ?? Array.from(message.attachments.values())[0];
-      } else if (Array.isArray(message.attachments) && message.attachments.length > 0) {
-        attachment = message.attachments[0];
-      } else if (typeof message.attachments === 'object') {
-        const values = Object.values(message.attachments);
-        if (values.length > 0) attachment = values[0];
-      }
-    }
+async function helpCommand(message, { guildId, member, args }) {
+  const query = args.command?.replace(/^!soundboard\s*/i, '') ?? '';
+  const match = query ? findCommand(query) : null;
+  if (match && !match.input) {
+    const { command } = match;
+    const lines = [
+      `**!soundboard ${command.name}**`,
+      t(guildId, `${commandMessageKey(command)}.description`),
+      t(guildId, 'help.usage', { usage: describeCommandUsage(command, guildId) }),
+    ];
+    if (command.aliases) lines.push(t(guildId, 'help.aliases', { aliases: command.aliases.map((alias) => `\`!soundboard ${alias}\``).join(', ') }));
+    lines.push(t(guildId, 'help.permission', { permission: t(guildId, `permission.${command.permission}`) }));
+    await replyTo(message, lines.join('\n'));
+    return;
+  }
 
-    const attachmentUrl = attachment?.url ?? attachment?.proxy_url;
-    if (!attachment || !attachmentUrl) {
-      await message.reply('❌ Please attach an audio file (MP3, WAV, OGG, etc.)');
-      return;
-    }
+  const commands = (query ? findCommandGroup(query) : COMMANDS).filter((command) => canRunCommand(command, member, guildId));
+  if (commands.length === 0) {
+    await replyTo(message, query ? t(guildId, 'help.unknown', { command: query }) : t(guildId, 'help.nothing'));
+    return;
+  }
+  const header = query ? t(guildId, 'help.group', { group: query }) : t(guildId, 'help.title');
+  await replyInChunks(message, [header, ...commands.map((command) => {
+    // Commands with several usage forms are listed with their generic form; `help <command>` shows all of them
+    const form = Array.isArray(command.usage) ? commandSynopsis(command) : commandUsageForms(command)[0];
+    return `\`!soundboard ${form}\` — ${t(guildId, `${commandMessageKey(command)}.description`)}`;
+  })]);
+}
 
-    const attachmentSize = attachment.size ?? attachment.content_length;
-    if (attachmentSize != null && attachmentSize > MAX_SOUND_FILE_BYTES) {
-      await message.reply(`❌ File is too large (max ${MAX_SOUND_FILE_BYTES / 1024 / 1024} MB).`);
-      return;
+/** Run a message in canonical `!soundboard ...` form (see toCanonicalCommand) through the registry. */
+async function handleCommandMessage(message, content) {
+  const input = content.slice(CANONICAL_PREFIX.length).trim();
+  const guildId = message.guildId;
+
+  const match = input ? findCommand(input) : { command: COMMANDS[0], input: '' };
+  if (!match) {
+    const group = findCommandGroup(input);
+    if (group.length > 0) {
+      const member = await getMessageMember(message);
+      await helpCommand(message, { guildId, member, args: { command: input } });
+    } else {
+      await replyTo(message, t(guildId, 'help.unknown', { command: input.split(/\s+/)[0] }));
     }
+    return;
+  }
 
-    const attachmentName = attachment.filename ?? attachment.file_name ?? '';
-    if (!ALLOWED_AUDIO_EXT.test(attachmentName)) {
-      await message.reply('❌ Unsupported format. Use MP3, WAV, OGG, M4A, AAC, FLAC, or WebM.');
+  const { command } = match;
+  if (!guildId && !command.dm) {
+    await replyTo(message, t(guildId, 'error.serverOnly'));
+    return;
+  }
+  const level = COMMAND_PERMISSIONS[command.permission];
+  // Only look the member up when the command needs it
+  const member = level.checked || command.name === 'help' ? await getMessageMember(message) : null;
+  if (level.checked) {
+    if (!member) {
+      await replyTo(message, t(guildId, 'permission.noMember'));
       return;
     }
-
-    if (SOUNDS[emojiKey]) {
-      await message.reply(`❌ Emoji ${displayEmojiForEmbed(emojiKey, SOUNDS[emojiKey].animated)} is already in use for "${SOUNDS[emojiKey].name}"`);
+    if (!level.allows(member, guildId)) {
+      await replyTo(message, t(guildId, `permission.${command.permission}.denied`, { command: command.name }));
       return;
     }
+  }
 
-    await message.reply(`⏳ Processing "${soundName}" with ${displayEmojiForEmbed(emojiKey)}...`);
-
-    try {
-      const soundsDir = join(__dirname, 'sounds');
-      if (!existsSync(soundsDir)) mkdirSync(soundsDir, { recursive: true });
-
-      const tempFile = join(__dirname, 'sounds', `temp_${Date.now()}.tmp`);
-      const filename = sanitizeFilename(soundName);
-      const webmFile = join(__dirname, 'sounds', `${filename}.webm`);
-
-      log(`Downloading ${attachmentUrl}...`);
-      await downloadFile(attachmentUrl, tempFile);
-
-      if (existsSync(tempFile)) {
-        const tempSize = statSync(tempFile).size;
-        if (tempSize > MAX_SOUND_FILE_BYTES) {
-          unlinkSync(tempFile);
-          await message.reply(`❌ File is too large (max ${MAX_SOUND_FILE_BYTES / 1024 / 1024} MB).`);
-          return;
-        }
-      }
+  const args = parseCommandArgs(command.args ?? [], match.input);
+  if (!args) {
+    await replyUsage(message, command);
+    return;
+  }
+  await command.run(message, { guildId, member, args, command });
+}
 
-      log(`Converting to webm...`);
-      const success = await convertToWebm(tempFile, webmFile);
-      unlinkSync(tempFile);
+// ============================================================
+// EVENT HANDLERS (wrapped so errors don't crash the process)
+// ============================================================
 
-      if (!success) {
-        await message.reply('❌ Failed to convert audio file. Make sure it\'s a valid audio format.');
-        return;
-      }
+function safeHandler(fn) {
+  return async (...args) => {
+    try {
+      await fn(...args);
+    } catch (err) {
+      logError('[handler error]', err?.message ?? err);
+      if (err?.stack) logError(err.stack);
+    }
+  };
+}
 
-      const duration = await getAudioDuration(webmFile);
-      if (duration > MAX_SOUND_DURATION_SEC) {
-        unlinkSync(webmFile);
-        await message.reply(`❌ Audio is too long (max ${MAX_SOUND_DURATION_SEC} seconds). Got ${duration.toFixed(1)}s.`);
-        return;
-      }
+client.on(Events.MessageCreate, safeHandler(async (message) => {
+  // Ignore bot messages
+  if (message.author.bot) return;
 
-      SOUNDS[emojiKey] = {
-        name: soundName,
-        file: `${filename}.webm`,
-        path: webmFile
-      };
-      if (/^<a:\w+:\d+>$/i.test(String(emojiInput).trim())) {
-        SOUNDS[emojiKey].animated = true;
-      }
-      try {
-        SOUNDS[emojiKey].buffer = await readFile(webmFile);
-      } catch (e) {
-        logWarn('Could not preload new sound buffer:', e?.message);
-      }
+  // Dedupe: only handle each message once (gateway can emit duplicate MESSAGE_CREATE e.g. on reconnect)
+  const msgId = message.id;
+  if (msgId && processedMessageIds.has(msgId)) return;
+  if (msgId) {
+    processedMessageIds.add(msgId);
+    setTimeout(() => processedMessageIds.delete(msgId), MESSAGE_DEDUPE_TTL_MS);
+  }
 
-      soundDurations.set(emojiKey, duration);
-      saveSoundsConfig();
-      await reloadAllSoundboards();
+  const content = toCanonicalCommand(message.content.trim(), message.guildId);
+  if (content === null) return;
 
-      await message.reply(`✅ Added "${soundName}" (${displayEmojiForEmbed(emojiKey, SOUNDS[emojiKey].animated)}) - Duration: ${duration.toFixed(2)}s`);
-      log(`Added sound: ${soundName} (${emojiInput})`);
-    } catch (error) {
-      logError('Error adding sound:', error);
-      await message.reply(`❌ Error: ${error.message}`);
-    }
-    return;
-  }
+  await handleCommandMessage(message, content);
 }));
 
 
@@ -1306,8 +5576,9 @@ client.on(Events.Ready, safeHandler(async () => {
   // When gateway closes we may not get Events.Disconnect; wire 'close' so we reconnect
   attachCloseHandler();
   if (!keepaliveInterval) {
-    keepaliveInterval = setInterval(keepaliveCheck, KEEPALIVE_INTERVAL_MS);
+    keepaliveInterval = setInterval(keepaliveCheck, getSetting('keepaliveIntervalMs'));
   }
+  seedMemberVoiceChannels();
 
   // Ready can fire multiple times on reconnect; only post soundboards once per process to avoid duplicates
   if (initialSoundboardSetupDone) {
@@ -1316,11 +5587,16 @@ client.on(Events.Ready, safeHandler(async () => {
   }
   initialSoundboardSetupDone = true;
 
+  if (LEGACY_SOUNDS) {
+    log('Migrating sounds from the old global config into per-guild libraries...');
+    migrateLegacySounds(await getBotGuildIds());
+  }
+
   log('Loading sound durations...');
-  for (const [emoji, sound] of Object.entries(SOUNDS)) {
+  for (const [guildId, emoji, sound] of allSounds()) {
     const duration = await getAudioDuration(sound.path);
-    soundDurations.set(emoji, duration);
-    log(`  ${sound.name}: ${duration.toFixed(2)}s`);
+    setSoundDuration(guildId, emoji, duration);
+    log(`  ${sound.name} (${guildId}): ${duration.toFixed(2)}s`);
   }
 
   log('Preloading sound buffers...');
@@ -1339,6 +5615,8 @@ client.on(Events.Ready, safeHandler(async () => {
   }
 
   log('All soundboards posted!');
+  startScheduler();
+  startHttpApi();
 
   // Backup check every 30 seconds (only start once, Ready can fire multiple times on reconnect)
   if (!voiceCheckInterval) {
@@ -1354,8 +5632,7 @@ client.on(Events.Ready, safeHandler(async () => {
 
           if (actualCount === 0) {
             log('Channel is empty, leaving...');
-            voiceManager.leave(guildId);
-            isPlaying.delete(guildId);
+            await leaveVoiceChannel(guildId);
           }
         }
       } catch (err) {
@@ -1369,7 +5646,14 @@ client.on(Events.VoiceStateUpdate, safeHandler(async (voiceState) => {
   const { guild_id, user_id, channel_id } = voiceState;
 
   if (user_id === client.user.id) return;
-  if (channel_id !== null) return;
+  const previousChannelId = trackMemberVoiceChannel(guild_id, user_id, channel_id);
+  if (channel_id !== null) {
+    // Joined or moved to another channel (mute/deafen updates keep the same channel)
+    if (channel_id !== previousChannelId) {
+      scheduleEntranceSound(guild_id, user_id, channel_id, voiceState.member?.user?.username);
+    }
+    return;
+  }
 
   const botVoiceChannelId = voiceManager.getVoiceChannelId(guild_id, client.user.id);
   if (!botVoiceChannelId) return;
@@ -1380,7 +5664,7 @@ client.on(Events.VoiceStateUpdate, safeHandler(async (voiceState) => {
   const timeoutId = setTimeout(() => {
     leaveCheckTimeouts.delete(guild_id);
     checkAndLeaveIfEmpty(guild_id, botVoiceChannelId);
-  }, LEAVE_CHECK_DELAY_MS);
+  }, getSetting('leaveCheckDelayMs', guild_id));
   leaveCheckTimeouts.set(guild_id, timeoutId);
 }));
 
@@ -1405,23 +5689,13 @@ client.on(Events.MessageReactionAdd, safeHandler(async (reaction, user) => {
   const emojiId = emoji?.id ?? reaction?.emoji?.id;
   const primaryKey = emojiId ? `${emojiName}:${emojiId}` : emojiName;
 
-  const sound =
-    (emojiIdentifier && SOUNDS[emojiIdentifier]) ||
-    (primaryKey && SOUNDS[primaryKey]) ||
-    (emojiName && SOUNDS[`:${emojiName}:`]) ||
-    (emojiId && SOUNDS[emojiId]) ||
-    (emojiName && SOUNDS[emojiName]) ||
-    (emojiId && SOUNDS[`<:${emojiName}:${emojiId}>`]) ||
-    (emojiId && SOUNDS[`<a:${emojiName}:${emojiId}>`]);
-  if (!sound) return;
-
   const channel = client.channels.get(channelId);
   if (!channel) return;
 
   const guildId = channel.guildId;
 
-  // Only accept reactions on the soundboard message for this guild
-  if (reaction.messageId !== soundboardMessageIds.get(guildId)) return;
+  // Only accept reactions on this guild's soundboard messages (any page)
+  if (!soundboardMessageIds.get(guildId)?.has(reaction.messageId)) return;
 
   const emojiRawForRemoval = emojiIdentifier || primaryKey;
 
@@ -1437,6 +5711,30 @@ client.on(Events.MessageReactionAdd, safeHandler(async (reaction, user) => {
     }
   };
 
+  // ⏹ stops the current sound(s): soundboard managers stop everything, other users only the sounds they queued
+  if (isStopEmoji(emojiIdentifier || emojiName)) {
+    const member = await getGuildMember(guildId, reactingUserId);
+    const stopped = await stopPlayback(guildId, { userId: canManageSoundboard(member, guildId) ? null : reactingUserId });
+    if (stopped.length === 0 && getNowPlaying(guildId).length > 0) {
+      log(`Stop ignored - user ${reactingUserId} did not queue the playing sound`);
+    }
+    await removeReaction();
+    return;
+  }
+
+  const guildSounds = getGuildSounds(guildId);
+  const soundKey = [
+    emojiIdentifier,
+    primaryKey,
+    emojiName && `:${emojiName}:`,
+    emojiId,
+    emojiName,
+    emojiId && `<:${emojiName}:${emojiId}>`,
+    emojiId && `<a:${emojiName}:${emojiId}>`,
+  ].find((key) => key && guildSounds[key]);
+  const sound = soundKey ? guildSounds[soundKey] : null;
+  if (!sound) return;
+
   // Dedupe: gateway can send multiple MessageReactionAdd for one click; only process one play per (message, emoji, user)
   const reactionKey = `${channelId}:${messageId}:${primaryKey}:${reactingUserId}`;
   if (processedReactionKeys.has(reactionKey)) {
@@ -1446,78 +5744,17 @@ client.on(Events.MessageReactionAdd, safeHandler(async (reaction, user) => {
   processedReactionKeys.add(reactionKey);
   setTimeout(() => processedReactionKeys.delete(reactionKey), REACTION_DEDUPE_TTL_MS);
 
-  if (isPlaying.get(guildId)) {
-    log('Blocked - already playing');
-    await removeReaction({ animated: sound?.animated });
-    return;
-  }
-
-  const voiceChannelId = voiceManager.getVoiceChannelId(guildId, reactingUserId);
-
-  if (!voiceChannelId) {
-    log('User not in voice');
-    await removeReaction({ animated: sound?.animated });
-    return;
-  }
-
-  isPlaying.set(guildId, true);
-
-  try {
-    const voiceChannel = client.channels.get(voiceChannelId);
-    if (!voiceChannel) {
-      isPlaying.delete(guildId);
-      await removeReaction({ animated: sound?.animated });
-      return;
-    }
-
-    log(`Playing ${sound.name}`);
-
-    const connection = await voiceManager.join(voiceChannel);
-
-    await new Promise(resolve => setTimeout(resolve, 500));
-
-    // When Fluxer uses LiveKit and we have a preloaded buffer, use pre-decoded PCM for stutter-free playback
-    const useLiveKitPcm = connection.room?.isConnected && sound.buffer;
-    let played = false;
-    if (useLiveKitPcm) {
-      try {
-        if (typeof connection.stop === 'function') await Promise.resolve(connection.stop()).catch(() => {});
-        await playSoundboardSoundLiveKit(connection, sound);
-        played = true;
-      } catch (err) {
-        logError('LiveKit PCM play error, falling back to stream:', err?.message ?? err);
-        delete sound.pcmBuffer;
-      }
-    }
-    if (!played) {
-      log(`Using stream path for ${sound.name} (no LiveKit PCM or fallback)`);
-      const stream = sound.buffer
-        ? bufferToChunkedStream(sound.buffer)
-        : createReadStream(sound.path, { highWaterMark: 512 * 1024 });
-
-      const playResult = connection.play(stream);
-      (playResult && typeof playResult.catch === 'function' ? playResult : Promise.resolve()).catch(err => {
-        logError('Play error:', err.message);
-      });
-
-      const durationKey = emojiIdentifier || primaryKey || emojiName || (emojiName ? `:${emojiName}:` : null);
-      const duration =
-        (durationKey && soundDurations.get(durationKey)) ||
-        (emojiName && soundDurations.get(emojiName)) ||
-        (emojiName && soundDurations.get(`:${emojiName}:`)) ||
-        3;
-      const waitTime = (duration * 1000) + 250;
-      log(`Waiting ${waitTime}ms for ${sound.name} to finish...`);
-      await new Promise(resolve => setTimeout(resolve, waitTime));
-    }
-
-    log(`${sound.name} finished`);
-
-  } catch (error) {
-    logError('Error:', error.message);
-  } finally {
-    isPlaying.delete(guildId);
+  // The reaction stays on the board while the sound waits and plays; it is removed once the request is done
+  const result = await requestPlay(guildId, {
+    sound,
+    soundKey,
+    userId: reactingUserId,
+    userName: user?.username ?? reactingUserId,
+    onDone: () => removeReaction({ animated: sound?.animated }),
+  });
+  if (!result.ok) {
     await removeReaction({ animated: sound?.animated });
+    if (result.cooldown) await sendCooldownNotice(guildId, channelId, reactingUserId, result.cooldown);
   }
 }));
 
@@ -1544,10 +5781,11 @@ async function destroyClient() {
 }
 
 async function loginWithRetry() {
-  for (let attempt = 0; attempt < RECONNECT_DELAYS_MS.length; attempt++) {
+  const delays = getSetting('reconnectDelaysMs');
+  for (let attempt = 0; attempt < delays.length; attempt++) {
     if (attempt > 0) {
       await destroyClient();
-      const delay = RECONNECT_DELAYS_MS[Math.min(attempt - 1, RECONNECT_DELAYS_MS.length - 1)];
+      const delay = delays[Math.min(attempt - 1, delays.length - 1)];
       log(`Retrying in ${delay / 1000}s...`);
       await new Promise(resolve => setTimeout(resolve, delay));
     }
@@ -1579,10 +5817,12 @@ async function runReconnectLoop() {
   reconnecting = true;
   try {
     log('Reconnecting with backoff...');
-    for (let attempt = 0; attempt < RECONNECT_DELAYS_MS.length; attempt++) {
+    const delays = getSetting('reconnectDelaysMs');
+    for (let attempt = 0; attempt < delays.length; attempt++) {
       await destroyClient();
-      const delay = RECONNECT_DELAYS_MS[Math.min(attempt, RECONNECT_DELAYS_MS.length - 1)];
+      const delay = delays[Math.min(attempt, delays.length - 1)];
       await new Promise(resolve => setTimeout(resolve, delay));
+      incMetric('soundboard_reconnect_attempts_total');
       try {
         await client.login(process.env.FLUXER_BOT_TOKEN);
         log('Reconnected successfully!');
@@ -1595,6 +5835,7 @@ async function runReconnectLoop() {
     while (true) {
       await destroyClient();
       await new Promise(resolve => setTimeout(resolve, 60_000));
+      incMetric('soundboard_reconnect_attempts_total');
       try {
         await client.login(process.env.FLUXER_BOT_TOKEN);
         log('Reconnected successfully!');
@@ -1646,4 +5887,5 @@ async function keepaliveCheck() {
   }
 }
 
+startMetricsServer();
 await loginWithRetry();